@@ -0,0 +1,54 @@
+namespace AggregateProcessingError {
+  /**
+   * An error thrown while processing a file, with the location attached by
+   * `Filter.prototype.processAndCacheFile` and, if known, the position in the
+   * file.
+   */
+  export interface FileError extends Error {
+    file: string;
+    treeDir: string;
+    line?: number;
+    column?: number;
+  }
+}
+
+function location(error: AggregateProcessingError.FileError): string {
+  let result = error.file;
+  if (error.line !== undefined) {
+    result += ':' + error.line;
+    if (error.column !== undefined) {
+      result += ':' + error.column;
+    }
+  }
+  return result;
+}
+
+/**
+ * The error thrown at the end of a build that uses the `collectErrors`
+ * option, when any files failed to process.
+ *
+ * Like the errors it collects, it has the `file`, `treeDir`, `line` and
+ * `column` of the first of them, so that tools that report the location of a
+ * build error point at that file.
+ */
+class AggregateProcessingError extends Error {
+  errors: Array<AggregateProcessingError.FileError>;
+  file: string;
+  treeDir: string;
+  line?: number;
+  column?: number;
+
+  constructor(errors: Array<AggregateProcessingError.FileError>) {
+    let count = errors.length === 1 ? '1 file' : `${errors.length} files`;
+    let details = errors.map(error => `  ${location(error)} (in ${error.treeDir}): ${error.message}`);
+    super(`[BroccoliPersistentFilter] ${count} failed to process:\n${details.join('\n')}`);
+    this.name = 'AggregateProcessingError';
+    this.errors = errors;
+    this.file = errors[0].file;
+    this.treeDir = errors[0].treeDir;
+    this.line = errors[0].line;
+    this.column = errors[0].column;
+  }
+}
+
+export = AggregateProcessingError;
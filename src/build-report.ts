@@ -0,0 +1,140 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+namespace BuildReport {
+  /**
+   * Why a file was handled by a build:
+   *
+   * - `created`: it was added to the input tree.
+   * - `changed`: its content changed.
+   * - `dependency-invalidated`: one of its dependencies changed.
+   * - `forced`: it had no change of its own, but was handled again because
+   *   its input source map changed, or because the output was rebuilt from
+   *   scratch after a failed build.
+   *
+   * The change of a file that failed to process is not applied, so it is
+   * reported with the same reason again when it is retried by the next build.
+   */
+  export type Reason = 'created' | 'changed' | 'dependency-invalidated' | 'forced';
+
+  /**
+   * Where the output of a processed file came from: the in-memory tier of
+   * the persistent cache, the persistent cache store, or processing it
+   * (`miss`). `none` when the persistent cache is not used.
+   */
+  export type Cache = 'memory-hit' | 'hit' | 'miss' | 'none';
+
+  /**
+   * What the build did with the file: `processed` it, processed it without
+   * output (`no-output`), or passed it through as `linked`, `copied` or
+   * `dropped`.
+   */
+  export type Action = 'processed' | 'no-output' | 'linked' | 'copied' | 'dropped';
+
+  export interface File {
+    relativePath: string;
+    reason: Reason;
+    action: Action | null;
+    cache: Cache | null;
+    /**
+     * Milliseconds spent on the file.
+     */
+    duration: number;
+    /**
+     * Bytes written for the file, including its additional `outputFiles`,
+     * or `null` if nothing was written.
+     */
+    outputSize: number | null;
+    error?: string;
+  }
+
+  export interface Report {
+    plugin: string;
+    startedAt: string;
+    /**
+     * Milliseconds spent on the build.
+     */
+    duration: number;
+    status: 'success' | 'error';
+    /**
+     * The counters of the `derivePatches` and `applyPatches` heimdall nodes,
+     * when the build got that far.
+     */
+    derivePatches: object | null;
+    applyPatches: object | null;
+    files: Array<File>;
+    /**
+     * The files that were removed from the input tree.
+     */
+    removed: Array<string>;
+  }
+}
+
+/**
+ * Collects what a single build did with each file, for the `buildReport`
+ * option.
+ */
+class BuildReport {
+  plugin: string;
+  startedAt: Date;
+  derivePatches: object | null;
+  applyPatches: object | null;
+  reasons: Map<string, BuildReport.Reason>;
+  files: Map<string, BuildReport.File>;
+  removed: Array<string>;
+  _start: [number, number];
+
+  constructor(plugin: string) {
+    this.plugin = plugin;
+    this.startedAt = new Date();
+    this.derivePatches = null;
+    this.applyPatches = null;
+    this.reasons = new Map();
+    this.files = new Map();
+    this.removed = [];
+    this._start = process.hrtime();
+  }
+
+  /**
+   * The report of the file at `relativePath`, which is created the first
+   * time it is asked for.
+   */
+  file(relativePath: string): BuildReport.File {
+    let file = this.files.get(relativePath);
+    if (!file) {
+      file = {
+        relativePath,
+        reason: this.reasons.get(relativePath) || 'changed',
+        action: null,
+        cache: null,
+        duration: 0,
+        outputSize: null,
+      };
+      this.files.set(relativePath, file);
+    }
+    return file;
+  }
+
+  toJSON(status: BuildReport.Report['status']): BuildReport.Report {
+    let [seconds, nanoseconds] = process.hrtime(this._start);
+    let files = Array.from(this.files.values())
+      .sort((a, b) => a.relativePath < b.relativePath ? -1 : a.relativePath > b.relativePath ? 1 : 0);
+    return {
+      plugin: this.plugin,
+      startedAt: this.startedAt.toISOString(),
+      duration: seconds * 1e3 + nanoseconds / 1e6,
+      status,
+      derivePatches: this.derivePatches,
+      applyPatches: this.applyPatches,
+      files,
+      removed: this.removed.slice().sort(),
+    };
+  }
+
+  write(filePath: string, status: BuildReport.Report['status']) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON(status), null, 2));
+  }
+}
+
+export = BuildReport;
@@ -5,10 +5,12 @@ import * as path from 'path';
 import * as fs from 'fs';
 import FSTree = require('fs-tree-diff');
 import Entry from 'fs-tree-diff/lib/entry';
-import { HashEntry, FSHashTree } from './fs-hash-diff';
+import { HashEntry, StatHashEntry, FSHashTree } from './fs-hash-diff';
 import md5sum = require('./md5-hex');
 import FSMerger = require('fs-merger');
+import minimatch = require('minimatch');
 import resolveRelative from './util/resolveRelative';
+import globBase from './util/globBase';
 
 
 const LOCAL_PATH: unique symbol = Symbol('Local Filesystem');
@@ -16,15 +18,83 @@ const EXTERNAL_PATH: unique symbol = Symbol('External Filesystem');
 
 type PathTag = typeof LOCAL_PATH | typeof EXTERNAL_PATH;
 
+/**
+ * A dependency, resolved and tagged with the filesystem it is on. The third
+ * element is set for the glob and directory dependencies, which stand for the
+ * files they match. Directories keep their trailing slash.
+ */
+type TaggedDependency = [PathTag, string, boolean?];
+
+/**
+ * Matches the files a glob or directory dependency stands for, by their paths
+ * relative to the root of the filesystem the dependency is on.
+ */
+interface PatternMatcher {
+  pattern: string;
+  /**
+   * The directory all the matches are below.
+   */
+  baseDir: string;
+  match(relativePath: string): boolean;
+  /**
+   * Whether the directory at `relativePath` can contain matches.
+   */
+  mayContain(relativePath: string): boolean;
+}
+
+function patternMatcher(pattern: string): PatternMatcher {
+  if (pattern.endsWith('/')) {
+    return {
+      pattern,
+      baseDir: pattern.slice(0, -1),
+      match: relativePath => relativePath.startsWith(pattern),
+      mayContain: relativePath => (relativePath + '/').startsWith(pattern) || pattern.startsWith(relativePath + '/'),
+    };
+  }
+  let matcher = new minimatch.Minimatch(pattern, { dot: true });
+  return {
+    pattern,
+    baseDir: globBase(matcher),
+    match: relativePath => matcher.match(relativePath),
+    // like `match(relativePath, true)`, which the typings lack.
+    mayContain: relativePath => matcher.set.some(set => matcher.matchOne(relativePath.split('/'), set, true)),
+  };
+}
+
 namespace Dependencies {
   export type FSFacade =
-    Pick<typeof fs, 'existsSync' | 'readFileSync' | 'statSync'>
+    Pick<typeof fs, 'existsSync' | 'readFileSync' | 'statSync' | 'readdirSync'>
     & Pick<FSMerger.FS, 'relativePathTo'>;
 
   export interface Options {
     fs: FSFacade;
   }
 
+  /**
+   * How changes to dependencies outside the input tree are detected:
+   *
+   * - `stat`: by size, modification time and mode. Touching a file
+   *   invalidates its dependents.
+   * - `hash`: by content. Every external dependency is read and hashed
+   *   on each build.
+   * - `hybrid`: by content, but a file is only hashed again when its size,
+   *   modification time or mode changed.
+   */
+  export type ExternalTracking = 'stat' | 'hash' | 'hybrid';
+
+  export interface TrackingOptions {
+    /**
+     * Defaults to `stat`.
+     */
+    externalTracking?: ExternalTracking;
+    /**
+     * Whether the files that depend on an invalidated file are invalidated
+     * too, so that only direct dependencies need to be set. Defaults to
+     * `false`.
+     */
+    transitive?: boolean;
+  }
+
   export interface SerializedTreeEntry {
     relativePath: string;
   }
@@ -41,8 +111,16 @@ namespace Dependencies {
     hash: string;
   }
 
+  export interface SerializedStatHashEntry {
+    type: 'stat+hash';
+    size: number;
+    mtime: number;
+    mode: number;
+    hash: string;
+  }
+
   export type SerializedEntry = SerializedTreeEntry
-    & (SerializedStatEntry | SerializedHashEntry);
+    & (SerializedStatEntry | SerializedHashEntry | SerializedStatHashEntry);
 
   export interface SerializedExternalRoot {
     type: 'external';
@@ -60,9 +138,67 @@ namespace Dependencies {
     entries: Array<SerializedEntry>
   }
 
+  /**
+   * A dependency on the files matching a glob pattern, e.g.
+   * `{ glob: 'components/*.hbs' }`.
+   */
+  export interface GlobDependency {
+    glob: string;
+  }
+
+  /**
+   * The path of a file, the path of a directory with a trailing slash, or a
+   * glob pattern.
+   */
+  export type Dependency = string | GlobDependency;
+
   export interface SerializedDependencies {
     fsTrees: Array<SerializedTree>;
+    dependencies: Record<string, Array<Dependency>>;
+    missingDependencies?: Record<string, Array<string>>;
+    /**
+     * The paths that must not exist that did when the state was captured.
+     */
+    existingMissingDependencies?: Array<string>;
+  }
+
+  /**
+   * A dependency in a `Graph`:
+   *
+   * - `file`: a file, with the state captured for it, or `null` if it did not
+   *   exist.
+   * - `pattern`: a glob or directory dependency, with the files that matched
+   *   it, which are nodes of their own.
+   * - `missing`: a path that must not exist.
+   */
+  export type GraphNode = {
+    root: SerializedRoot,
+  } & ({
+    type: 'file',
+    state: SerializedEntry | null,
+  } | {
+    type: 'pattern',
+    matches: Array<string>,
+  } | {
+    type: 'missing',
+  });
+
+  export interface Graph {
+    /**
+     * The dependencies of each file, keyed by its path relative to the input
+     * tree. Dependencies inside the tree are relative to it too; those
+     * outside it are absolute.
+     */
     dependencies: Record<string, Array<string>>;
+    /**
+     * The paths each file requires not to exist.
+     */
+    missingDependencies: Record<string, Array<string>>;
+    /**
+     * The files that depend on each dependency, or require it not to exist.
+     */
+    dependents: Record<string, Array<string>>;
+    nodes: Record<string, GraphNode>;
   }
 }
 
@@ -87,18 +223,34 @@ class Dependencies {
    *   - an absolute path if the Path tag is EXTERNAL_PATH.
    *   - an relative path if the Path tag is LOCAL_PATH.
    **/
-  private dependencyMap: Map<string, Array<[PathTag, string]>>;
+  private dependencyMap: Map<string, Array<TaggedDependency>>;
+  /**
+   * Tracks the paths that must not exist on a per file basis, e.g. the
+   * candidates a module resolver tried before finding the file it imports.
+   * Keys and values are like those of `dependencyMap`.
+   */
+  private missingDependencyMap: Map<string, Array<[PathTag, string]>>;
   /**
    * Map of filesystem roots to unique dependencies on that filesystem. This
    * property is only populated once `seal()` is called. This allows us to
    * build an FSTree (which requires relative paths) per filesystem root.
    */
   private allDependencies: Map<string | typeof LOCAL_PATH, Set<string>>;
+  /**
+   * Like `allDependencies`, but for the glob and directory dependencies.
+   */
+  private allPatterns: Map<string | typeof LOCAL_PATH, Set<string>>;
   /**
    * Map of filesystem roots to FSTrees, capturing the state of all
    * dependencies.
    */
   private fsTrees: Map<string | typeof LOCAL_PATH, FSTree<Entry>|FSHashTree>;
+  /**
+   * The paths that must not exist that did when the state was captured, like
+   * the values of `missingDependencyMap`. Only the paths that appear since
+   * invalidate the files that depend on them.
+   */
+  private existingMissingDependencies: Set<string>;
   /**
    * Maps dependencies to the local files that depend on them.
    * Keys that are relative are relative to the local tree. Absolute paths are
@@ -107,20 +259,42 @@ class Dependencies {
    */
   dependentsMap: Map<string, string[]>;
   inputEncoding: string;
+  /**
+   * How changes to dependencies outside the local tree are detected.
+   */
+  externalTracking: Dependencies.ExternalTracking;
+  /**
+   * Whether invalidations are followed through the files that depend on the
+   * invalidated files.
+   */
+  transitive: boolean;
+  /**
+   * The hashed external dependencies by absolute path, with the stat
+   * information they had when they were hashed. Only used for `hybrid`
+   * tracking, and shared with the copies made by `copyWithout`.
+   */
+  private statHashCache: Map<string, StatHashEntry>;
 
   /**
    * Creates an instance of Dependencies.
    * @param rootDir The root directory containing the files that
    *   have dependencies. Relative paths are resolved against this directory.
    * @param options options is used to pass the custom fs opertations implementations
+   * @param trackingOptions how changes to the dependencies are detected.
    */
-  constructor(rootFS: Dependencies.FSFacade, inputEncoding: string) {
+  constructor(rootFS: Dependencies.FSFacade, inputEncoding: string, trackingOptions: Dependencies.TrackingOptions = {}) {
     this.inputEncoding = inputEncoding;
+    this.externalTracking = trackingOptions.externalTracking || 'stat';
+    this.transitive = trackingOptions.transitive || false;
+    this.statHashCache = new Map<string, StatHashEntry>();
     this.rootFS = rootFS;
     this.sealed = false;
-    this.dependencyMap = new Map<string, Array<[PathTag, string]>>();
+    this.dependencyMap = new Map<string, Array<TaggedDependency>>();
+    this.missingDependencyMap = new Map<string, Array<[PathTag, string]>>();
     this.allDependencies = new Map<string, Set<string>>();
+    this.allPatterns = new Map<string, Set<string>>();
     this.fsTrees = new Map<string, FSTree<Entry>|FSHashTree>();
+    this.existingMissingDependencies = new Set<string>();
     this.dependentsMap = new Map<string, Array<string>>();
   }
 
@@ -133,16 +307,23 @@ class Dependencies {
     if (this.sealed) return this;
     this.sealed = true;
     this.dependencyMap.forEach((deps, referer) => {
-      for (let [tag, dep] of deps) {
+      for (let [tag, dep, isPattern] of deps) {
         let depRoot: string | typeof LOCAL_PATH;
+        let relativeDep: string;
         if (tag === LOCAL_PATH) {
           depRoot = LOCAL_PATH;
-          let depsForRoot = this._getDepsForRoot(depRoot);
-          depsForRoot.add(dep);
+          relativeDep = dep;
         } else {
           depRoot = path.parse(dep).root;
-          let depsForRoot = this._getDepsForRoot(depRoot);
-          depsForRoot.add(path.relative(depRoot, dep));
+          relativeDep = path.relative(depRoot, dep) + (dep.endsWith('/') ? '/' : '');
+        }
+        // the trees are captured for each root with dependencies, even if
+        // they are all patterns.
+        let depsForRoot = this._getDepsForRoot(depRoot);
+        if (isPattern) {
+          this._getPatternsForRoot(depRoot).add(relativeDep);
+        } else {
+          depsForRoot.add(relativeDep);
         }
 
         // Create an inverse map so that when a dependency is invalidated
@@ -167,10 +348,29 @@ class Dependencies {
     return depsForRoot;
   }
 
+  _getPatternsForRoot(dir: string | typeof LOCAL_PATH) {
+    let patternsForRoot = this.allPatterns.get(dir);
+    if (!patternsForRoot) {
+      patternsForRoot = new Set();
+      this.allPatterns.set(dir, patternsForRoot);
+    }
+    return patternsForRoot;
+  }
+
+  /**
+   * The matchers of the glob and directory dependencies on the filesystem at
+   * `dir`.
+   */
+  _patternMatchers(dir: string | typeof LOCAL_PATH): Array<PatternMatcher> {
+    return Array.from(this.allPatterns.get(dir) || [], patternMatcher);
+  }
+
   unseal() {
     this.sealed = false;
     this.allDependencies.clear();
+    this.allPatterns.clear();
     this.fsTrees.clear();
+    this.existingMissingDependencies.clear();
   }
 
   countAll() {
@@ -197,33 +397,66 @@ class Dependencies {
   /**
    * Set the dependencies for the file specified by `filePath`.
    *
+   * A dependency can also be a directory, given with a trailing slash, or a
+   * glob pattern, given as `{ glob: 'components/*.hbs' }`. The file is then
+   * invalidated when a file matching it is added, removed or changed. A
+   * directory matches every file below it. Other paths are always the names
+   * of files, even if they contain characters that globs treat specially,
+   * like `pages/[id].js`.
+   *
    * @param filePath {string} relative path of the file that has dependencies.
-   * @param dependencies {Array<string>} absolute or relative paths the file
-   *   depends on. Relative paths are resolved relative to the directory
-   *   containing the file that depends on them.
+   * @param dependencies {Array<Dependencies.Dependency>} absolute or relative
+   *   paths, or globs, the file depends on. Relative ones are resolved
+   *   relative to the directory containing the file that depends on them.
+   * @param missingDependencies {Array<string>} absolute or relative paths
+   *   that must not exist for the file to stay valid, e.g. the candidates
+   *   a module resolver tried before finding the file it imports. The file
+   *   is invalidated once one of them that did not exist when the state was
+   *   captured does.
    */
-  setDependencies(filePath: string, dependencies: Array<string>) {
+  setDependencies(filePath: string, dependencies: Array<Dependencies.Dependency>, missingDependencies: Array<string> = []) {
     filePath = path.normalize(filePath);
     if (this.sealed) {
       throw new Error('Cannot set dependencies when sealed');
     }
-    let fileDeps = new Array<[PathTag, string]>();
     let fileDir = path.dirname(filePath);
-    for (let dep of dependencies) {
-      if (path.isAbsolute(dep)) {
-        let localPath = this.rootFS.relativePathTo(dep);
-        if (localPath) {
-          fileDeps.push([LOCAL_PATH, localPath.relativePath]);
-        } else {
-          fileDeps.push([EXTERNAL_PATH, dep]);
-        }
+    let fileDeps = dependencies.map((dep): TaggedDependency => {
+      if (typeof dep !== 'string') {
+        let [tag, glob] = this._tagDependency(fileDir, dep.glob);
+        // a glob that ends with a slash only matches directories, which
+        // aren't tracked: it is meant to match the files below them.
+        return [tag, glob.endsWith('/') ? glob + '**' : glob, true];
+      } else if (dep.endsWith('/') || dep.endsWith(path.sep)) {
+        let [tag, dir] = this._tagDependency(fileDir, dep.slice(0, -1));
+        return [tag, dir + '/', true];
+      }
+      return this._tagDependency(fileDir, dep);
+    });
+    this.dependencyMap.set(filePath, fileDeps);
+    if (missingDependencies.length > 0) {
+      this.missingDependencyMap.set(filePath, missingDependencies.map(dep => this._tagDependency(fileDir, dep)));
+    } else {
+      this.missingDependencyMap.delete(filePath);
+    }
+  }
+
+  /**
+   * Resolves `dep`, a dependency of a file in `fileDir`, and tags it with
+   * the filesystem it is on.
+   */
+  _tagDependency(fileDir: string, dep: string): [PathTag, string] {
+    if (path.isAbsolute(dep)) {
+      let localPath = this.rootFS.relativePathTo(dep);
+      if (localPath) {
+        return [LOCAL_PATH, localPath.relativePath];
       } else {
-        let depPath = resolveRelative(fileDir, dep);
-        let tag = path.isAbsolute(depPath) ? EXTERNAL_PATH : LOCAL_PATH;
-        fileDeps.push([tag, depPath]);
+        return [EXTERNAL_PATH, dep];
       }
+    } else {
+      let depPath = resolveRelative(fileDir, dep);
+      let tag = path.isAbsolute(depPath) ? EXTERNAL_PATH : LOCAL_PATH;
+      return [tag, depPath];
     }
-    this.dependencyMap.set(filePath, fileDeps);
   }
 
   /**
@@ -238,15 +471,25 @@ class Dependencies {
    */
   copyWithout(files: Array<string>) {
     files = files.map(f => path.normalize(f));
-    let newDeps = new Dependencies(this.rootFS, this.inputEncoding);
+    let newDeps = new Dependencies(this.rootFS, this.inputEncoding, this._trackingOptions());
+    newDeps.statHashCache = this.statHashCache;
     for (let file of this.dependencyMap.keys()) {
       if (!files.includes(file)) {
         newDeps.dependencyMap.set(file, this.dependencyMap.get(file)!);
       }
     }
+    for (let file of this.missingDependencyMap.keys()) {
+      if (!files.includes(file)) {
+        newDeps.missingDependencyMap.set(file, this.missingDependencyMap.get(file)!);
+      }
+    }
     return newDeps;
   }
 
+  _trackingOptions(): Dependencies.TrackingOptions {
+    return { externalTracking: this.externalTracking, transitive: this.transitive };
+  }
+
   /**
    * Get the dependency state and save it.
    * Dependencies must be sealed.
@@ -254,6 +497,7 @@ class Dependencies {
    */
   captureDependencyState() {
     this.fsTrees = this.getDependencyState();
+    this.existingMissingDependencies = this._existingMissingDependencies();
     return this;
   }
 
@@ -267,25 +511,90 @@ class Dependencies {
     }
     let fsTrees = new Map<string | typeof LOCAL_PATH, FSTree<Entry> | FSHashTree>();
     for (let fsRoot of this.allDependencies.keys()) {
-      let dependencies = this.allDependencies.get(fsRoot)!;
+      let dependencies = new Set(this.allDependencies.get(fsRoot)!);
+      let patternFS = fsRoot === LOCAL_PATH ? this.rootFS : fs;
+      for (let matcher of this._patternMatchers(fsRoot)) {
+        for (let match of findMatches(patternFS, fsRoot === LOCAL_PATH ? '' : fsRoot, matcher)) {
+          dependencies.add(match);
+        }
+      }
       let fsTree;
       if (fsRoot === LOCAL_PATH) {
         fsTree = getHashTree(this.rootFS, dependencies, this.inputEncoding);
-      } else {
+      } else if (this.externalTracking === 'stat') {
         fsTree = getStatTree(fsRoot, dependencies);
+      } else {
+        let statHashCache = this.externalTracking === 'hybrid' ? this.statHashCache : null;
+        fsTree = getExternalHashTree(fsRoot, dependencies, statHashCache);
       }
       fsTrees.set(fsRoot, fsTree);
     }
     return fsTrees;
   }
 
+  /**
+   * The dependencies outside the local tree, including the paths that must
+   * not exist, as absolute paths. Directories keep their trailing slash, and
+   * globs are returned as absolute globs. Dependencies must be sealed.
+   *
+   * @returns {Array<Dependencies.Dependency>}
+   */
+  externalDependencies(): Array<Dependencies.Dependency> {
+    if (!this.sealed) {
+      throw new Error('Cannot list external dependencies until after sealing them.');
+    }
+    let external = new Map<string, Dependencies.Dependency>();
+    this.allDependencies.forEach((deps, fsRoot) => {
+      if (fsRoot !== LOCAL_PATH) {
+        for (let dep of deps) {
+          external.set(path.join(fsRoot, dep), path.join(fsRoot, dep));
+        }
+      }
+    });
+    this.allPatterns.forEach((patterns, fsRoot) => {
+      if (fsRoot !== LOCAL_PATH) {
+        for (let pattern of patterns) {
+          let fullPattern = path.join(fsRoot, pattern);
+          external.set(fullPattern, pattern.endsWith('/') ? fullPattern : { glob: fullPattern });
+        }
+      }
+    });
+    this.missingDependencyMap.forEach(deps => {
+      for (let [tag, dep] of deps) {
+        if (tag === EXTERNAL_PATH) {
+          external.set(dep, dep);
+        }
+      }
+    });
+    return Array.from(external.keys()).sort().map(key => external.get(key)!);
+  }
+
   /**
    * Returns the dependent files which have had a dependency change
    * since the last call to this method.
    * @returns {Array<string>} relative paths to the files that had a dependency change.
    */
   getInvalidatedFiles() {
-    let invalidated = new Set<string>();
+    return Array.from(this.getInvalidations().keys());
+  }
+
+  /**
+   * Like `getInvalidatedFiles`, but also returns the dependencies that changed
+   * for each file: relative paths inside the local tree and absolute paths
+   * outside it. A file that is invalidated because a file it depends on is,
+   * with `transitive`, has that file as its changed dependency.
+   * @returns {Map<string, Array<string>>} the changed dependencies, keyed by the relative path of the invalidated file.
+   */
+  getInvalidations(): Map<string, Array<string>> {
+    let invalidated = new Map<string, Set<string>>();
+    let invalidate = (file: string, dependency: string) => {
+      let changed = invalidated.get(file);
+      if (!changed) {
+        changed = new Set();
+        invalidated.set(file, changed);
+      }
+      changed.add(dependency);
+    };
     let currentState = this.getDependencyState();
     for (let fsRoot of this.allDependencies.keys()) {
       let oldTree = this.fsTrees.get(fsRoot);
@@ -300,22 +609,210 @@ class Dependencies {
       } else {
         patch = oldTree.calculatePatch(currentTree);
       }
+      let patterns = this._patternMatchers(fsRoot);
       for (let operation of patch) {
         let depPath = operation[1];
-        let dependents;
-        if (fsRoot === LOCAL_PATH) {
-          dependents = this.dependentsMap.get(depPath);
-        } else {
-          dependents = this.dependentsMap.get(fsRoot + depPath);
+        let changedPath = fsRoot === LOCAL_PATH ? depPath : fsRoot + depPath;
+        // the dependencies on this path, and on the patterns that match it.
+        let depKeys = [depPath];
+        if (!depPath.endsWith('/')) {
+          for (let pattern of patterns) {
+            if (pattern.match(depPath)) {
+              depKeys.push(pattern.pattern);
+            }
+          }
         }
-        if (!dependents) { continue; }
-        for (let dep of dependents) {
-          invalidated.add(dep);
+        for (let depKey of depKeys) {
+          let dependents = this.dependentsMap.get(fsRoot === LOCAL_PATH ? depKey : fsRoot + depKey);
+          if (!dependents) { continue; }
+          for (let dep of dependents) {
+            invalidate(dep, changedPath);
+          }
         }
       }
     }
+    let existingMissingDependencies = this._existingMissingDependencies();
+    this.missingDependencyMap.forEach((deps, file) => {
+      let appeared = deps.find(([_tag, dep]) => existingMissingDependencies.has(dep) && !this.existingMissingDependencies.has(dep));
+      if (appeared) {
+        invalidate(file, appeared[1]);
+      }
+    });
+    if (this.transitive) {
+      this._addTransitiveDependents(invalidated);
+    }
     this.fsTrees = currentState;
-    return new Array(...invalidated);
+    this.existingMissingDependencies = existingMissingDependencies;
+    let result = new Map<string, Array<string>>();
+    for (let [file, changed] of invalidated) {
+      result.set(file, Array.from(changed).sort());
+    }
+    return result;
+  }
+
+  /**
+   * Adds the files that depend on the `invalidated` files, directly or through
+   * other files, until no more files are added. A file is only visited once,
+   * so dependency cycles end the walk instead of looping forever.
+   */
+  _addTransitiveDependents(invalidated: Map<string, Set<string>>) {
+    let patterns = this._patternMatchers(LOCAL_PATH);
+    let queue = Array.from(invalidated.keys());
+    while (queue.length > 0) {
+      let file = queue.shift()!;
+      let depKeys = [file];
+      for (let pattern of patterns) {
+        if (pattern.match(file)) {
+          depKeys.push(pattern.pattern);
+        }
+      }
+      for (let depKey of depKeys) {
+        for (let dependent of this.dependentsMap.get(depKey) || []) {
+          if (!invalidated.has(dependent)) {
+            invalidated.set(dependent, new Set([file]));
+            queue.push(dependent);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * The paths that must not exist that currently do.
+   */
+  _existingMissingDependencies(): Set<string> {
+    let existing = new Set<string>();
+    let checked = new Set<string>();
+    this.missingDependencyMap.forEach(deps => {
+      for (let [tag, dep] of deps) {
+        if (!checked.has(dep)) {
+          checked.add(dep);
+          if (tag === LOCAL_PATH ? this.rootFS.existsSync(dep) : fs.existsSync(dep)) {
+            existing.add(dep);
+          }
+        }
+      }
+    });
+    return existing;
+  }
+
+  /**
+   * Describes the dependencies for debugging: the dependencies of each file
+   * and the files that depend on each dependency, and the state captured for
+   * each dependency. Dependencies must be sealed.
+   *
+   * @returns {Dependencies.Graph} a JSON-friendly object.
+   */
+  graph(): Dependencies.Graph {
+    if (!this.sealed) {
+      throw new Error('Cannot describe the dependency graph until after sealing it.');
+    }
+    let graph: Dependencies.Graph = {
+      dependencies: {},
+      missingDependencies: {},
+      dependents: {},
+      nodes: {},
+    };
+    let capturedEntries = new Map<string | typeof LOCAL_PATH, Map<string, Entry | HashEntry>>();
+    this.fsTrees.forEach((fsTree, rootDir) => {
+      let entries = new Map<string, Entry | HashEntry>();
+      for (let entry of fsTree.entries) {
+        if (!entry.isDirectory()) {
+          entries.set(entry.relativePath, entry);
+        }
+      }
+      capturedEntries.set(rootDir, entries);
+    });
+    let addNode = (dep: string, tag: PathTag, isPattern: boolean, isMissing: boolean) => {
+      let rootDir = tag === LOCAL_PATH ? LOCAL_PATH : path.parse(dep).root;
+      let root: Dependencies.SerializedRoot = rootDir === LOCAL_PATH ? { type: 'local' } : { type: 'external', rootDir };
+      let relativePath = rootDir === LOCAL_PATH ? dep : path.relative(rootDir, dep) + (dep.endsWith('/') ? '/' : '');
+      let entries = capturedEntries.get(rootDir) || new Map<string, Entry | HashEntry>();
+      if (isMissing) {
+        graph.nodes[dep] = { root, type: 'missing' };
+      } else if (isPattern) {
+        let matcher = patternMatcher(relativePath);
+        let matches = new Array<string>();
+        entries.forEach((entry, entryPath) => {
+          if (matcher.match(entryPath)) {
+            let match = rootDir === LOCAL_PATH ? entryPath : path.join(rootDir, entryPath);
+            matches.push(match);
+            graph.nodes[match] = { root, type: 'file', state: serializeEntry(entry) };
+          }
+        });
+        graph.nodes[dep] = { root, type: 'pattern', matches };
+      } else {
+        let entry = entries.get(relativePath);
+        graph.nodes[dep] = { root, type: 'file', state: entry ? serializeEntry(entry) : null };
+      }
+    };
+    let addDependents = (dep: string, file: string) => {
+      (graph.dependents[dep] = graph.dependents[dep] || []).push(file);
+    };
+    this.dependencyMap.forEach((deps, file) => {
+      graph.dependencies[file] = deps.map(([tag, dep, isPattern]) => {
+        addNode(dep, tag, !!isPattern, false);
+        addDependents(dep, file);
+        return dep;
+      });
+    });
+    this.missingDependencyMap.forEach((deps, file) => {
+      graph.missingDependencies[file] = deps.map(([tag, dep]) => {
+        addNode(dep, tag, false, true);
+        addDependents(dep, file);
+        return dep;
+      });
+    });
+    return graph;
+  }
+
+  /**
+   * Renders a graph returned by `graph()` in the Graphviz DOT language. Edges
+   * point from a file to its dependencies. Dependencies outside the input
+   * tree are dashed, and paths that must not exist are dotted.
+   *
+   * @returns {string}
+   */
+  static graphToDot(graph: Dependencies.Graph): string {
+    let lines = ['digraph dependencies {', '  rankdir=LR;', '  node [shape=box];'];
+    for (let file of Object.keys(graph.dependencies).concat(Object.keys(graph.missingDependencies))) {
+      if (!graph.nodes[file]) {
+        lines.push(`  ${dotId(file)};`);
+      }
+    }
+    for (let dep of Object.keys(graph.nodes)) {
+      let node = graph.nodes[dep];
+      let attributes: Record<string, string> = { label: dep };
+      if (node.type === 'file') {
+        attributes.label += '\n' + describeState(node.state);
+      } else if (node.type === 'pattern') {
+        attributes.shape = 'folder';
+      } else {
+        attributes.label += '\nmust not exist';
+        attributes.style = 'dotted';
+      }
+      if (node.root.type === 'external' && node.type !== 'missing') {
+        attributes.style = 'dashed';
+      }
+      lines.push(`  ${dotId(dep)} ${dotAttributes(attributes)};`);
+      if (node.type === 'pattern') {
+        for (let match of node.matches) {
+          lines.push(`  ${dotId(dep)} -> ${dotId(match)} ${dotAttributes({ style: 'dashed', arrowhead: 'empty' })};`);
+        }
+      }
+    }
+    for (let file of Object.keys(graph.dependencies)) {
+      for (let dep of graph.dependencies[file]) {
+        lines.push(`  ${dotId(file)} -> ${dotId(dep)};`);
+      }
+    }
+    for (let file of Object.keys(graph.missingDependencies)) {
+      for (let dep of graph.missingDependencies[file]) {
+        lines.push(`  ${dotId(file)} -> ${dotId(dep)} ${dotAttributes({ style: 'dotted' })};`);
+      }
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
   }
 
   /**
@@ -327,15 +824,15 @@ class Dependencies {
    * @return {{rootDir: string, dependencies: {[k: string]: string[]}, fsTrees: Array<{fsRoot: string, entries: Array<{relativePath: string} & ({type: 'stat', size: number, mtime: number, mode: number} | {type: 'hash', hash: string})>}>}}
    */
   serialize(): Dependencies.SerializedDependencies {
-    let dependencies: Record<string, Array<string>> = {};
+    let dependencies: Record<string, Array<Dependencies.Dependency>> = {};
     this.dependencyMap.forEach((deps, filePath) => {
-      dependencies[filePath] = deps.map(([tag, dep]) => {
+      dependencies[filePath] = deps.map(([tag, dep, isPattern]) => {
         let isAbsolute = path.isAbsolute(dep);
         if (isAbsolute && tag === LOCAL_PATH ||
             !isAbsolute && tag === EXTERNAL_PATH) {
               throw new Error('internal error');
         }
-        return dep;
+        return isPattern && !dep.endsWith('/') ? { glob: dep } : dep;
       });
     });
     let fsTrees = new Array<Dependencies.SerializedTree>();
@@ -346,25 +843,8 @@ class Dependencies {
       } else {
         fsRoot = {type: 'external', rootDir};
       }
-      let fsTree = this.fsTrees.get(rootDir)!;
-      let entries = new Array<Dependencies.SerializedEntry>();
-      for (let entry of fsTree.entries) {
-        if (entry instanceof HashEntry) {
-          entries.push({
-            type: 'hash',
-            relativePath: entry.relativePath,
-            hash: entry.hash,
-          });
-        } else {
-          entries.push({
-            type: 'stat',
-            relativePath: entry.relativePath,
-            size: entry.size!,
-            mtime: +entry.mtime!,
-            mode: entry.mode!
-          });
-        }
-      }
+      let treeEntries: Array<Entry | HashEntry> = this.fsTrees.get(rootDir)!.entries;
+      let entries = treeEntries.map(entry => serializeEntry(entry));
       fsTrees.push({
         fsRoot,
         entries
@@ -374,6 +854,14 @@ class Dependencies {
       dependencies,
       fsTrees
     };
+    if (this.missingDependencyMap.size > 0) {
+      let missingDependencies: Record<string, Array<string>> = {};
+      this.missingDependencyMap.forEach((deps, filePath) => {
+        missingDependencies[filePath] = deps.map(([_tag, dep]) => dep);
+      });
+      serialized.missingDependencies = missingDependencies;
+      serialized.existingMissingDependencies = Array.from(this.existingMissingDependencies);
+    }
     return serialized;
   }
 
@@ -383,10 +871,13 @@ class Dependencies {
    * @param dependencyData {ReturnType<Dependencies['serialize']>}
    * @param [newRootDir] {string | undefined}
    * @param customFS {typeof fs}. A customFS method to support fs facade change in broccoli-plugin.
+   * @param trackingOptions {Dependencies.TrackingOptions} how changes to the
+   *   dependencies are detected from now on. Trees serialized with another
+   *   `externalTracking` invalidate the files that depend on them once.
    * @return {Dependencies};
    */
-  static deserialize(dependencyData: Dependencies.SerializedDependencies, customFS: Dependencies.FSFacade, inputEncoding: string): Dependencies {
-    let dependencies = new Dependencies(customFS, inputEncoding);
+  static deserialize(dependencyData: Dependencies.SerializedDependencies, customFS: Dependencies.FSFacade, inputEncoding: string, trackingOptions: Dependencies.TrackingOptions = {}): Dependencies {
+    let dependencies = new Dependencies(customFS, inputEncoding, trackingOptions);
     let prevFsTree = dependencyData.fsTrees[0];
     if (prevFsTree && typeof prevFsTree.fsRoot === 'string') {
       // Ideally the serialized cache would be invalidated when this code changes,
@@ -398,17 +889,34 @@ class Dependencies {
     let files = Object.keys(dependencyData.dependencies);
     for (let file of files) {
       let deps = dependencyData.dependencies[file];
-      let taggedPaths: Array<[PathTag, string]> = deps.map((filePath) => {
-        return path.isAbsolute(filePath) ? [EXTERNAL_PATH, filePath] : [LOCAL_PATH, filePath];
+      let taggedPaths: Array<TaggedDependency> = deps.map((dep) => {
+        let filePath = typeof dep === 'string' ? dep : dep.glob;
+        let isPattern = typeof dep !== 'string' || dep.endsWith('/');
+        return [path.isAbsolute(filePath) ? EXTERNAL_PATH : LOCAL_PATH, filePath, isPattern];
       });
       dependencies.dependencyMap.set(file, taggedPaths);
     }
+    let missingDependencies = dependencyData.missingDependencies || {};
+    for (let file of Object.keys(missingDependencies)) {
+      let taggedPaths: Array<[PathTag, string]> = missingDependencies[file].map((filePath) => {
+        return path.isAbsolute(filePath) ? [EXTERNAL_PATH, filePath] : [LOCAL_PATH, filePath];
+      });
+      dependencies.missingDependencyMap.set(file, taggedPaths);
+    }
+    let existingMissingDependencies = new Set(dependencyData.existingMissingDependencies || []);
     let fsTrees = new Map<string | typeof LOCAL_PATH, FSTree | FSHashTree>();
     for (let fsTreeData of dependencyData.fsTrees) {
       let entries = new Array<Entry | HashEntry>();
       for (let entry of fsTreeData.entries) {
         if (entry.type === 'stat') {
           entries.push(new Entry(entry.relativePath, entry.size, entry.mtime, entry.mode));
+        } else if (entry.type === 'stat+hash') {
+          let statHashEntry = new StatHashEntry(entry.relativePath, entry.hash, entry.size, entry.mtime, entry.mode);
+          entries.push(statHashEntry);
+          if (fsTreeData.fsRoot.type === 'external') {
+            let fullPath = path.join(fsTreeData.fsRoot.rootDir, entry.relativePath);
+            dependencies.statHashCache.set(fullPath, new StatHashEntry(fullPath, entry.hash, entry.size, entry.mtime, entry.mode));
+          }
         } else {
           entries.push(new HashEntry(entry.relativePath, entry.hash));
         }
@@ -418,20 +926,80 @@ class Dependencies {
       if (fsTreeData.fsRoot.type === 'local') {
         treeRoot = LOCAL_PATH;
         fsTree = FSHashTree.fromHashEntries(entries, { sortAndExpand: true });
-      } else {
+      } else if (dependencies.externalTracking === 'stat') {
         treeRoot = fsTreeData.fsRoot.rootDir;
         fsTree = FSTree.fromEntries(entries, { sortAndExpand: true });
+      } else {
+        treeRoot = fsTreeData.fsRoot.rootDir;
+        fsTree = FSHashTree.fromHashEntries(entries, { sortAndExpand: true });
       }
       fsTrees.set(treeRoot, fsTree);
     }
     dependencies.seal();
     dependencies.fsTrees = fsTrees;
+    dependencies.existingMissingDependencies = existingMissingDependencies;
     return dependencies;
   }
 }
 
 export = Dependencies;
 
+function dotId(id: string): string {
+  return JSON.stringify(id);
+}
+
+function dotAttributes(attributes: Record<string, string>): string {
+  return '[' + Object.keys(attributes).map(key => `${key}=${dotId(attributes[key])}`).join(', ') + ']';
+}
+
+/**
+ * A short description of the state captured for a dependency, for the label
+ * of its node.
+ */
+function describeState(state: Dependencies.SerializedEntry | null): string {
+  if (state === null) {
+    return 'not found';
+  }
+  let description = new Array<string>();
+  if (state.type === 'stat' || state.type === 'stat+hash') {
+    description.push(`size ${state.size}, mtime ${new Date(state.mtime).toISOString()}`);
+  }
+  if (state.type === 'hash' || state.type === 'stat+hash') {
+    description.push(`hash ${state.hash.slice(0, 8)}`);
+  }
+  return description.join(', ');
+}
+
+/**
+ * The JSON-friendly form of a tree entry, as stored by `serialize`.
+ */
+function serializeEntry(entry: Entry | HashEntry): Dependencies.SerializedEntry {
+  if (entry instanceof StatHashEntry) {
+    return {
+      type: 'stat+hash',
+      relativePath: entry.relativePath,
+      size: entry.size,
+      mtime: entry.mtime,
+      mode: entry.mode,
+      hash: entry.hash,
+    };
+  } else if (entry instanceof HashEntry) {
+    return {
+      type: 'hash',
+      relativePath: entry.relativePath,
+      hash: entry.hash,
+    };
+  } else {
+    return {
+      type: 'stat',
+      relativePath: entry.relativePath,
+      size: entry.size!,
+      mtime: +entry.mtime!,
+      mode: entry.mode!
+    };
+  }
+}
+
 /**
  * Get an FSTree that uses content hashing information to compare files to
  * see if they have changed.
@@ -441,17 +1009,17 @@ export = Dependencies;
  * @return {FSHashTree}
  */
 function getHashTree(fs: Dependencies.FSFacade, dependencies: Set<string>, encoding: string = 'utf8'): FSHashTree {
-  let entries = new Array<HashEntry>();
+  let entries = new Map<string, HashEntry>();
   for (let dependency of dependencies) {
     // it would be good if we could cache this and share it with
     // the read that accompanies `processString()` (if any).
-    if (fs.existsSync(dependency)) {
+    if (!entries.has(dependency) && fs.existsSync(dependency)) {
       let contents = fs.readFileSync(dependency, encoding);
       let hash = md5sum(contents);
-      entries.push(new HashEntry(dependency, hash));
+      entries.set(dependency, new HashEntry(dependency, hash));
     }
   }
-  return FSHashTree.fromHashEntries(entries);
+  return FSHashTree.fromHashEntries(Array.from(entries.values()));
 }
 
 /**
@@ -476,3 +1044,75 @@ function getStatTree(fsRoot: string, dependencies: Set<string>): FSTree<Entry> {
   }
   return FSTree.fromEntries(entries, {sortAndExpand: true});
 }
+
+/**
+ * Get an FSHashTree of files outside the local tree, which compares them by
+ * content.
+ *
+ * @param fsRoot {string} The root directory for these files
+ * @param dependencies {Set<string>}
+ * @param statHashCache {Map<string, StatHashEntry> | null} when given, a
+ *   file whose stat information is unchanged since it was hashed is not read
+ *   again. The cache is updated with the files that are hashed.
+ */
+function getExternalHashTree(fsRoot: string, dependencies: Set<string>, statHashCache: Map<string, StatHashEntry> | null): FSHashTree {
+  let entries = new Array<HashEntry>();
+  for (let dependency of dependencies) {
+    let fullPath = path.join(fsRoot, dependency);
+    try {
+      if (!statHashCache) {
+        entries.push(new HashEntry(dependency, md5sum(fs.readFileSync(fullPath))));
+        continue;
+      }
+      let stats = fs.statSync(fullPath);
+      let mtime = stats.mtime.getTime();
+      let cached = statHashCache.get(fullPath);
+      if (!cached || !cached.hasSameStat(stats.size, mtime, stats.mode)) {
+        cached = new StatHashEntry(fullPath, md5sum(fs.readFileSync(fullPath)), stats.size, mtime, stats.mode);
+        statHashCache.set(fullPath, cached);
+      }
+      entries.push(new StatHashEntry(dependency, cached.hash, stats.size, mtime, stats.mode));
+    } catch (e) {
+      // a missing file is left out, so that creating it is a change.
+      statHashCache?.delete(fullPath);
+    }
+  }
+  return FSHashTree.fromHashEntries(entries);
+}
+
+/**
+ * Finds the files below `rootDir` whose relative paths `matcher` matches.
+ * Only the directories that can contain matches are read.
+ */
+function findMatches(fs: Pick<Dependencies.FSFacade, 'readdirSync' | 'statSync'>, rootDir: string, matcher: PatternMatcher): Array<string> {
+  let matches = new Array<string>();
+
+  let visit = (dir: string) => {
+    let names: Array<string>;
+    try {
+      names = fs.readdirSync(path.join(rootDir, dir || '.')) as Array<string>;
+    } catch (e) {
+      // the directory doesn't exist (yet).
+      return;
+    }
+    for (let name of names) {
+      let relativePath = dir ? dir + '/' + name : name;
+      let stats;
+      try {
+        stats = fs.statSync(path.join(rootDir, relativePath));
+      } catch (e) {
+        // the file may have been removed in the meantime.
+        continue;
+      }
+      if (stats.isDirectory()) {
+        if (matcher.mayContain(relativePath)) {
+          visit(relativePath);
+        }
+      } else if (matcher.match(relativePath)) {
+        matches.push(relativePath);
+      }
+    }
+  };
+  visit(matcher.baseDir);
+  return matches;
+}
@@ -0,0 +1,168 @@
+import type { SourceNode, SourceNodeInfo } from 'broccoli-node-api';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import Rimraf = require('rimraf');
+import minimatch = require('minimatch');
+import Dependencies = require('./dependencies');
+import globBase from './util/globBase';
+
+const rimraf = Rimraf.sync;
+
+/**
+ * The directory to watch for changes to `dependency`, an absolute path,
+ * directory or glob, and the name of the entry in it that the dependency is
+ * about, or `null` if changes to any entry below the directory matter.
+ */
+function watchTarget(dependency: Dependencies.Dependency): [string, string | null] {
+  if (typeof dependency !== 'string') {
+    return [globBase(new minimatch.Minimatch(dependency.glob)) || path.sep, null];
+  } else if (dependency.endsWith('/') || dependency.endsWith(path.sep)) {
+    return [dependency.slice(0, -1) || path.sep, null];
+  }
+  return [path.dirname(dependency), path.basename(dependency)];
+}
+
+/**
+ * Makes the dependencies of a filter that are outside its input tree trigger
+ * rebuilds in `broccoli serve` and `broccoli build --watch`.
+ *
+ * Broccoli only watches the directories of source nodes, which are known
+ * before the first build, while the external dependencies are only known once
+ * files were processed. So the watcher is a source node for a directory of
+ * its own, which contains a single file, `ExternalDependencyWatcher.FILE_NAME`.
+ * The filter adds it to its input nodes, and the watcher rewrites the file
+ * whenever one of the external dependencies changes, which Broccoli picks up
+ * like any change to its input.
+ */
+class ExternalDependencyWatcher implements SourceNode {
+  static FILE_NAME = '.broccoli-persistent-filter-external-dependencies';
+
+  __broccoliFeatures__ = Object.freeze({ persistentOutputFlag: true, sourceDirectories: true });
+  annotation: string | undefined;
+  _instantiationStack: string;
+  _directory: string | null;
+  _watchers: Map<string, { watcher: fs.FSWatcher, names: Set<string> | null }>;
+
+  constructor(annotation?: string) {
+    this.annotation = annotation;
+    this._instantiationStack = (new Error().stack || '').replace(/^.*\n/, '');
+    this._directory = null;
+    this._watchers = new Map();
+  }
+
+  /**
+   * The directory Broccoli watches, which is created on first use and
+   * removed when the process exits.
+   */
+  get directory(): string {
+    if (this._directory === null) {
+      let directory = fs.mkdtempSync(path.join(os.tmpdir(), 'broccoli-persistent-filter-'));
+      fs.writeFileSync(path.join(directory, ExternalDependencyWatcher.FILE_NAME), '');
+      process.once('exit', () => rimraf(directory));
+      this._directory = directory;
+    }
+    return this._directory;
+  }
+
+  __broccoliGetInfo__(): SourceNodeInfo {
+    return {
+      nodeType: 'source',
+      sourceDirectory: this.directory,
+      watched: true,
+      name: 'ExternalDependencyWatcher',
+      annotation: this.annotation,
+      instantiationStack: this._instantiationStack,
+    };
+  }
+
+  /**
+   * Watches `dependencies`, absolute paths and globs, instead of the
+   * dependencies passed previously. A file is watched through its directory,
+   * so that it is still watched after an editor replaced it, and so that
+   * creating a file that did not exist is noticed. A directory that does not
+   * exist cannot be watched, and is skipped.
+   */
+  watch(dependencies: Array<Dependencies.Dependency>) {
+    let targets = new Map<string, Set<string> | null>();
+    for (let dependency of dependencies) {
+      let [directory, name] = watchTarget(dependency);
+      let names = targets.has(directory) ? targets.get(directory)! : new Set<string>();
+      if (names !== null && name !== null) {
+        names.add(name);
+        targets.set(directory, names);
+      } else {
+        targets.set(directory, null);
+      }
+    }
+
+    for (let [directory, { watcher }] of this._watchers) {
+      if (!targets.has(directory)) {
+        watcher.close();
+        this._watchers.delete(directory);
+      }
+    }
+    for (let [directory, names] of targets) {
+      let watched = this._watchers.get(directory);
+      if (watched) {
+        watched.names = names;
+        continue;
+      }
+      let watcher = this._watchDirectory(directory, names === null);
+      if (watcher) {
+        this._watchers.set(directory, { watcher, names });
+      }
+    }
+  }
+
+  /**
+   * Watches the directory, and everything below it if `recursive` and
+   * supported by the platform and version of node.
+   */
+  _watchDirectory(directory: string, recursive: boolean): fs.FSWatcher | null {
+    let onChange = (_event: string, name: string | Buffer | null) => {
+      let entry = this._watchers.get(directory);
+      if (entry && (entry.names === null || !name || entry.names.has(String(name)))) {
+        this.notify();
+      }
+    };
+    let watcher: fs.FSWatcher;
+    try {
+      watcher = fs.watch(directory, { persistent: false, recursive }, onChange);
+    } catch (e) {
+      if (!recursive || e.code === 'ENOENT') {
+        return null;
+      }
+      return this._watchDirectory(directory, false);
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      this._watchers.delete(directory);
+    });
+    return watcher;
+  }
+
+  /**
+   * The directories that are currently watched.
+   */
+  get watchedDirectories(): Array<string> {
+    return Array.from(this._watchers.keys()).sort();
+  }
+
+  /**
+   * Rewrites the file in the watched directory, so that Broccoli starts a
+   * rebuild.
+   */
+  notify() {
+    fs.writeFileSync(path.join(this.directory, ExternalDependencyWatcher.FILE_NAME), String(Date.now()));
+  }
+
+  close() {
+    for (let { watcher } of this._watchers.values()) {
+      watcher.close();
+    }
+    this._watchers.clear();
+  }
+}
+
+export = ExternalDependencyWatcher;
@@ -30,6 +30,30 @@ export class HashEntry {
   }
 }
 
+/**
+ * A hash entry that also keeps the stat information of the file, so that the
+ * file only has to be hashed again once its stat information changed.
+ */
+export class StatHashEntry extends HashEntry {
+  size: number;
+  mtime: number;
+  mode: number;
+
+  constructor(relativePath: string, hash: string, size: number, mtime: number, mode: number) {
+    super(relativePath, hash);
+    this.size = size;
+    this.mtime = mtime;
+    this.mode = mode;
+  }
+
+  /**
+   * Whether the stat information of the file is unchanged.
+   */
+  hasSameStat(size: number, mtime: number, mode: number): boolean {
+    return this.size === size && this.mtime === mtime && this.mode === mode;
+  }
+}
+
 export class FSHashTree extends FSTree<Entry | HashEntry> {
   /**
    * Creates an instance of FSHashTree.
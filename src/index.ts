@@ -5,14 +5,29 @@ import FSTree = require('fs-tree-diff');
 import hashForDep = require('hash-for-dep');
 import heimdall = require('heimdalljs');
 import debugGenerator = require('heimdalljs-logger');
+import minimatch = require('minimatch');
+import * as fs from 'fs';
 import * as path from 'path';
 import mapSeries = require('promise-map-series');
 
 import addPatches = require('./addPatches');
 import Dependencies = require('./dependencies');
 import md5Hex = require('./md5-hex');
+import resolveRelative from './util/resolveRelative';
+import assertNever from './util/assertNever';
+import { SourceMap, decodeDataURL, getSourceMappingURL, removeSourceMappingURL, resolveSourceMapPath, setSourceMappingURL } from './source-maps';
 import Processor = require('./processor');
-import { ProcessStringResult as ProcessResult } from './strategies/strategy';
+import WorkerPool = require('./worker-pool');
+import ProcessingError = require('./aggregate-processing-error');
+import CollisionError = require('./output-collision-error');
+import ExternalDependencyWatcher = require('./external-dependency-watcher');
+import Report = require('./build-report');
+import Trace = require('./trace');
+import { ProcessStringResult as ProcessResult, ProcessBufferResult as BufferResult, NoOutput, Diagnostic as FileDiagnostic, CacheMiss } from './strategies/strategy';
+import { CacheStore as Store, CacheStoreFactory as StoreFactory, EvictionLimits } from './stores/store';
+import DiskStore = require('./stores/disk');
+import MemoryStore = require('./stores/memory');
+import HttpStore = require('./stores/http');
 import Entry from 'fs-tree-diff/lib/entry';
 
 class ApplyPatchesSchema {
@@ -24,13 +39,21 @@ class ApplyPatchesSchema {
   other: number;
   processed: number;
   linked: number;
+  copied: number;
+  dropped: number;
   handleFile: number;
 
   processString: number;
   processStringTime: number;
   persistentCacheHit: number;
   persistentCachePrime: number;
+  persistentCacheMemoryHit: number;
+  persistentCacheMemoryMiss: number;
+  persistentCacheEvicted: number;
+  persistentCacheSwept: number;
   handleFileTime: number;
+  trace?: Trace.Lane;
+  cacheMiss?: CacheMiss;
 
   constructor() {
     this.mkdir = 0;
@@ -41,12 +64,18 @@ class ApplyPatchesSchema {
     this.other = 0;
     this.processed = 0;
     this.linked = 0;
+    this.copied = 0;
+    this.dropped = 0;
     this.handleFile = 0;
 
     this.processString = 0;
     this.processStringTime = 0;
     this.persistentCacheHit = 0;
     this.persistentCachePrime = 0;
+    this.persistentCacheMemoryHit = 0;
+    this.persistentCacheMemoryMiss = 0;
+    this.persistentCacheEvicted = 0;
+    this.persistentCacheSwept = 0;
     this.handleFileTime = 0;
   }
 }
@@ -118,21 +147,236 @@ function invalidationsAsPatches(invalidated: Array<string>, currentTree: FSTree,
   return patches;
 }
 
+/**
+ * Records why each file is handled by a build: its own change, unless the
+ * output is rebuilt from scratch, or else a change of one of its dependencies,
+ * or being `forced` to be handled again.
+ */
+function recordReasons(report: Report, treePatches: FSTree.Patch, invalidated: Array<string>, forced: Array<string>, wasReset: boolean) {
+  for (let [operation, relativePath] of treePatches) {
+    if (operation === 'unlink') {
+      report.removed.push(relativePath);
+    } else if (operation === 'create' || operation === 'change') {
+      report.reasons.set(relativePath, wasReset ? 'forced' : operation === 'create' ? 'created' : 'changed');
+    }
+  }
+  for (let relativePath of invalidated) {
+    if (!report.reasons.has(relativePath)) {
+      report.reasons.set(relativePath, 'dependency-invalidated');
+    }
+  }
+  for (let relativePath of forced) {
+    if (!report.reasons.has(relativePath)) {
+      report.reasons.set(relativePath, 'forced');
+    }
+  }
+}
+
+/**
+ * What the persistent cache did for a file, judging by the instrumentation of
+ * processing only that file.
+ */
+function cacheStatus(fileInstrumentation: ApplyPatchesSchema): Report.Cache {
+  if (fileInstrumentation.persistentCacheMemoryHit > 0) {
+    return 'memory-hit';
+  } else if (fileInstrumentation.persistentCacheHit > 0) {
+    return 'hit';
+  } else if (fileInstrumentation.persistentCachePrime > 0) {
+    return 'miss';
+  }
+  return 'none';
+}
+
+function byteLength(contents: string | Buffer, encoding: string | null): number {
+  return typeof contents === 'string' ? Buffer.byteLength(contents, (encoding || 'utf8') as BufferEncoding) : contents.length;
+}
+
+/**
+ * Why a file was processed, see the `explain` option.
+ */
+type FileExplanationReason = 'new-file' | 'content-changed' | 'dependency-changed' | 'source-map-changed' | 'reset' | CacheMiss['reason'];
+
+interface FileExplanation {
+  relativePath: string;
+  reason: FileExplanationReason;
+  /**
+   * The dependencies that changed, for `dependency-changed`.
+   */
+  dependencies?: Array<string>;
+  /**
+   * The keys of the bucket, for `bucket-changed`, or of the file, for
+   * `cache-key-changed` and `cache-evicted`.
+   */
+  previousKey?: string;
+  key?: string;
+}
+
+/**
+ * Why each file is handled by a build, before the persistent cache has a say:
+ * being rebuilt from scratch, its own change, a change of its dependencies or
+ * of its input source map.
+ */
+function explainPatches(treePatches: FSTree.Patch, invalidations: Map<string, Array<string>>, sourceMapInvalidated: Array<string>, retried: Array<string>, wasReset: boolean): Map<string, FileExplanation> {
+  let explanations = new Map<string, FileExplanation>();
+  for (let [operation, relativePath] of treePatches) {
+    if (operation === 'create' || operation === 'change') {
+      let reason: FileExplanationReason = wasReset ? 'reset' : operation === 'create' ? 'new-file' : 'content-changed';
+      explanations.set(relativePath, { relativePath, reason });
+    }
+  }
+  for (let [relativePath, dependencies] of invalidations) {
+    if (!explanations.has(relativePath)) {
+      explanations.set(relativePath, { relativePath, reason: 'dependency-changed', dependencies });
+    }
+  }
+  for (let relativePath of sourceMapInvalidated) {
+    if (!explanations.has(relativePath)) {
+      explanations.set(relativePath, { relativePath, reason: 'source-map-changed' });
+    }
+  }
+  // the files that were not processed because a build failed.
+  for (let relativePath of retried) {
+    if (!explanations.has(relativePath)) {
+      explanations.set(relativePath, { relativePath, reason: 'reset' });
+    }
+  }
+  return explanations;
+}
+
+function describeExplanation(explanation: FileExplanation): string {
+  if (explanation.dependencies) {
+    return `${explanation.reason} (${explanation.dependencies.join(', ')})`;
+  } else if (explanation.previousKey !== undefined) {
+    return `${explanation.reason} (${explanation.previousKey} -> ${explanation.key})`;
+  }
+  return explanation.reason;
+}
+
+/**
+ * Describes `node` in a way that is the same in every process: by its name,
+ * annotation and the descriptions of its inputs, down to the directories of
+ * the source nodes. The temporary directories the inputs are built in differ
+ * between processes, so they can't be used. Each node is described once.
+ */
+function describeNode(node: InputNode, descriptions: Map<InputNode, string>): string {
+  let description = descriptions.get(node);
+  if (description === undefined) {
+    if (typeof node === 'string') {
+      description = path.resolve(node);
+    } else if (node instanceof ExternalDependencyWatcher) {
+      // its directory is temporary, and it's the same for every filter.
+      description = ExternalDependencyWatcher.FILE_NAME;
+    } else if (typeof node.__broccoliGetInfo__ !== 'function') {
+      // nodes of broccoli < 1 have no info to describe them by.
+      description = String(node);
+    } else {
+      let info = node.__broccoliGetInfo__({ persistentOutputFlag: true, sourceDirectories: true });
+      if (info.nodeType === 'source') {
+        description = path.resolve(info.sourceDirectory);
+      } else {
+        let inputs = info.inputNodes.map(inputNode => describeNode(inputNode, descriptions));
+        description = md5Hex(JSON.stringify([info.name, info.annotation, inputs]));
+      }
+    }
+    descriptions.set(node, description);
+  }
+  return description;
+}
+
+interface ApplyPatchesState {
+  errors: Array<ProcessingError.FileError>;
+  /**
+   * The patches that were applied successfully.
+   */
+  applied: Set<FSTree.Operation>;
+  /**
+   * The patches that failed.
+   */
+  failed: Array<FSTree.Operation>;
+}
+
+interface GlobMatcher {
+  match(relativePath: string): boolean;
+}
+
+function toArray<T>(value: T | Array<T>): Array<T> {
+  return Array.isArray(value) ? value : [value];
+}
+
+function isExtensionMap(value: unknown): value is Record<string, string> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function stripDot(ext: string): string {
+  return ext.charAt(0) === '.' ? ext.slice(1) : ext;
+}
+
+/**
+ * Normalizes the keys and values of an extension map to extensions without a
+ * leading dot, like the ones in the `extensions` option.
+ */
+function normalizeExtensionMap(map: Record<string, string>): Record<string, string> {
+  let result: Record<string, string> = {};
+  for (let ext of Object.keys(map)) {
+    result[stripDot(ext)] = stripDot(map[ext]);
+  }
+  return result;
+}
+
 async function invoke<T extends object, Args extends Array<unknown>, R>(context: T, fn: (this: T, ...args: Args) => R, args: Args): Promise<R> {
   return await fn.apply(context, args);
 }
 
+/**
+ * What a build does when several input files are written to the same output
+ * file: fail, or only write the one that is processed rather than passed
+ * through.
+ */
+type OutputCollisionPolicy = 'error' | 'prefer-processed';
+
+/**
+ * How a file that is not processed is written to the output: as a symlink to
+ * the input file, as a copy of it, or not at all.
+ */
+type PassthroughMode = 'link' | 'copy' | 'drop';
+
+const PASSTHROUGH_MODES: Array<PassthroughMode> = ['link', 'copy', 'drop'];
+
+/**
+ * Tells apart the debugging files of plugins with the same name.
+ */
+let nextDebugNameId = 0;
+
 interface Options {
   name?: string;
   annotation?: string;
   persist?: boolean;
   extensions?: Array<string>;
-  targetExtension?: string;
-  inputEncoding?: string;
-  outputEncoding?: string;
+  include?: string | Array<string>;
+  exclude?: string | Array<string>;
+  targetExtension?: string | Record<string, string>;
+  inputEncoding?: string | null;
+  outputEncoding?: string | null;
   async?: boolean;
   dependencyInvalidation?: boolean;
+  externalDependencyTracking?: Dependencies.ExternalTracking;
+  transitiveDependencyInvalidation?: boolean;
+  watchExternalDependencies?: boolean;
   concurrency?: number;
+  sourceMaps?: boolean;
+  worker?: string;
+  workerOptions?: unknown;
+  maxCacheSize?: number;
+  maxCacheAge?: number;
+  cacheSweepInterval?: number;
+  cacheStore?: Store | StoreFactory;
+  memoryCacheSize?: number;
+  collectErrors?: boolean;
+  buildReport?: string;
+  trace?: string;
+  explain?: boolean;
+  outputCollisions?: OutputCollisionPolicy;
+  passthrough?: PassthroughMode;
 }
 
 abstract class Filter extends Plugin {
@@ -140,16 +384,61 @@ abstract class Filter extends Plugin {
   dependencies: Dependencies | null;
   currentTree: FSTree;
   extensions: undefined | Array<string>;
-  targetExtension: string | undefined;
-  inputEncoding: string | undefined;
-  outputEncoding: string | undefined;
+  include: undefined | Array<string>;
+  exclude: undefined | Array<string>;
+  _includeMatchers: Array<GlobMatcher>;
+  _excludeMatchers: Array<GlobMatcher>;
+  targetExtension: string | Record<string, string> | undefined;
+  inputEncoding: string | null | undefined;
+  outputEncoding: string | null | undefined;
   async: boolean;
   dependencyInvalidation: boolean;
-  _canProcessCache: object;
+  externalDependencyTracking: Dependencies.ExternalTracking;
+  transitiveDependencyInvalidation: boolean;
+  _debugName: string | undefined;
+  buildReport: string | undefined;
+  _report: Report | null;
+  trace: string | undefined;
+  _trace: Trace | null;
+  explain: boolean;
+  /**
+   * Why each file is handled by the current build, before the persistent
+   * cache has a say, when explaining.
+   */
+  _handledReasons: Map<string, FileExplanation>;
+  _explanations: Map<string, FileExplanation>;
+  _externalDependencyWatcher: ExternalDependencyWatcher | null;
+  collectErrors: boolean;
+  _canProcessCache: Record<string, boolean>;
   _destFilePathCache: object;
   _needsReset: boolean;
+  /**
+   * The files that failed to process, or were not processed, in the previous
+   * build.
+   */
+  _retryFiles: Array<string>;
+  /**
+   * The `_retryFiles` that were invalidated by a change of their
+   * dependencies, which the retry must not read from the persistent cache.
+   */
+  _retryInvalidated: Set<string>;
+  /**
+   * The entries of the files that failed to process in the previous build.
+   */
+  _failedEntries: Map<string, Entry>;
+  outputCollisions: OutputCollisionPolicy;
+  passthrough: PassthroughMode;
   concurrency: number;
   _outputLinks: Record<string, boolean>;
+  _droppedFiles: Record<string, boolean>;
+  _outputFiles: Record<string, Array<string>>;
+  _diagnostics: Record<string, Array<FileDiagnostic>>;
+  sourceMaps: boolean;
+  _inputSourceMaps: Record<string, string>;
+  _consumedSourceMaps: Record<string, boolean>;
+  worker: string | undefined;
+  workerOptions: unknown;
+  _workerPool: WorkerPool | null;
   _logger: debugGenerator.Logger;
   _processorInitialized: boolean;
 
@@ -166,7 +455,9 @@ abstract class Filter extends Plugin {
   }
 
   constructor(inputTree: InputNode, options: Options) {
-    super([inputTree], {
+    let externalDependencyWatcher = options && options.dependencyInvalidation && options.watchExternalDependencies ?
+      new ExternalDependencyWatcher(options.annotation) : null;
+    super(externalDependencyWatcher ? [inputTree, externalDependencyWatcher] : [inputTree], {
       name: (options && options.name),
       annotation: (options && options.annotation),
       persistentOutput: true
@@ -193,29 +484,113 @@ abstract class Filter extends Plugin {
     /* Destructuring assignment in node 0.12.2 would be really handy for this! */
     if (options) {
       if (options.extensions != null)      this.extensions = options.extensions;
-      if (options.targetExtension != null) this.targetExtension = options.targetExtension;
-      if (options.inputEncoding != null)   this.inputEncoding = options.inputEncoding;
-      if (options.outputEncoding != null)  this.outputEncoding = options.outputEncoding;
+      if (options.include != null)         this.include = toArray(options.include);
+      if (options.exclude != null)         this.exclude = toArray(options.exclude);
+      if (options.targetExtension != null) {
+        this.targetExtension = isExtensionMap(options.targetExtension) ?
+          normalizeExtensionMap(options.targetExtension) :
+          options.targetExtension;
+      }
+      if (options.inputEncoding !== undefined)  this.inputEncoding = options.inputEncoding;
+      if (options.outputEncoding !== undefined) this.outputEncoding = options.outputEncoding;
       if (Filter.shouldPersist(process.env, options.persist)) {
         const PersistentStrategy = require('./strategies/persistent');
 
-        this.processor.setStrategy(new PersistentStrategy());
+        this.processor.setStrategy(new PersistentStrategy({
+          maxCacheSize: options.maxCacheSize,
+          maxCacheAge: options.maxCacheAge,
+          cacheSweepInterval: options.cacheSweepInterval,
+          cacheStore: options.cacheStore,
+          memoryCacheSize: options.memoryCacheSize
+        }));
       }
       this.async = (options.async === true);
+      if (options.worker != null) {
+        this.worker = options.worker;
+        this.workerOptions = options.workerOptions;
+        // workers only run in parallel when files are processed concurrently.
+        this.async = true;
+      }
+    }
+    this._workerPool = null;
+
+    this.sourceMaps = !!(options && options.sourceMaps);
+    this.collectErrors = !!(options && options.collectErrors);
+    this.outputCollisions = (options && options.outputCollisions) || 'prefer-processed';
+    this.passthrough = (options && options.passthrough) || 'link';
+    if (!PASSTHROUGH_MODES.includes(this.passthrough)) {
+      throw new TypeError(`[BroccoliPersistentFilter] the \`passthrough\` option must be one of ${PASSTHROUGH_MODES.join(', ')}, got "${this.passthrough}"`);
     }
+    this._inputSourceMaps = Object.create(null);
+    this._consumedSourceMaps = Object.create(null);
 
 
     this._processorInitialized = false;
     this.dependencyInvalidation = options && options.dependencyInvalidation || false;
+    this.externalDependencyTracking = options && options.externalDependencyTracking || 'stat';
+    this.transitiveDependencyInvalidation = options && options.transitiveDependencyInvalidation || false;
+    this._debugName = undefined;
+    this.buildReport = options && options.buildReport;
+    this._report = null;
+    this.trace = options && options.trace;
+    this._trace = null;
+    this.explain = !!(options && options.explain);
+    this._handledReasons = new Map();
+    this._explanations = new Map();
+    this._externalDependencyWatcher = externalDependencyWatcher;
     this._canProcessCache = Object.create(null);
+    this._includeMatchers = (this.include || []).map(pattern => new minimatch.Minimatch(pattern, { dot: true }));
+    this._excludeMatchers = (this.exclude || []).map(pattern => new minimatch.Minimatch(pattern, { dot: true }));
     this._destFilePathCache = Object.create(null);
     this._needsReset = false;
 
     this.concurrency = (options && options.concurrency) || Number(process.env.JOBS) || Math.max(require('os').cpus().length - 1, 1);
     this._outputLinks = Object.create(null);
+    this._droppedFiles = Object.create(null);
+    this._outputFiles = Object.create(null);
+    this._diagnostics = Object.create(null);
+    this._retryFiles = [];
+    this._retryInvalidated = new Set();
+    this._failedEntries = new Map();
+  }
+
+  _dependencyTrackingOptions(): Dependencies.TrackingOptions {
+    return {
+      externalTracking: this.externalDependencyTracking,
+      transitive: this.transitiveDependencyInvalidation,
+    };
   }
 
   async build() {
+    let reportPath = this._buildReportPath();
+    let tracePath = this._tracePath();
+    if (!reportPath && !tracePath) {
+      return await this._build();
+    }
+    let report = this._report = reportPath ? new Report(this.toString()) : null;
+    let trace = this._trace = tracePath ? new Trace(this.toString()) : null;
+    let start = trace ? trace.now() : 0;
+    let status: Report.Report['status'] = 'error';
+    try {
+      let result = await this._build();
+      status = 'success';
+      return result;
+    } finally {
+      this._report = null;
+      this._trace = null;
+      if (report) {
+        report.write(reportPath!, status);
+        this._logger.info('wrote the build report to', reportPath);
+      }
+      if (trace) {
+        trace.complete('build', 'filter', 0, start, { status });
+        trace.write(tracePath!);
+        this._logger.info('wrote the trace to', tracePath);
+      }
+    }
+  }
+
+  async _build() {
     if (!this._processorInitialized) {
       this._processorInitialized = true;
       this.processor.init(this);
@@ -225,15 +600,25 @@ abstract class Filter extends Plugin {
     let destDir = this.outputPath;
 
     if (this.dependencyInvalidation && !this.dependencies) {
-      this.dependencies = this.processor.initialDependencies(this.input, this.inputEncoding || 'utf8');
+      this.dependencies = this.processor.initialDependencies(this.input, this.inputEncoding || 'utf8', this._dependencyTrackingOptions());
     }
 
+    let wasReset = this._needsReset;
     if (this._needsReset) {
       this.currentTree = new FSTree();
       let instrumentation = heimdall.start('reset');
       if (this.dependencies) {
-        this.dependencies = this.processor.initialDependencies(this.input, this.inputEncoding || 'utf8');
+        this.dependencies = this.processor.initialDependencies(this.input, this.inputEncoding || 'utf8', this._dependencyTrackingOptions());
       }
+      this._outputFiles = Object.create(null);
+      this._outputLinks = Object.create(null);
+      this._droppedFiles = Object.create(null);
+      this._diagnostics = Object.create(null);
+      this._retryFiles = [];
+      this._retryInvalidated = new Set();
+      this._failedEntries = new Map();
+      this._inputSourceMaps = Object.create(null);
+      this._consumedSourceMaps = Object.create(null);
       this.output.rmdirSync('./',  { recursive: true });
       this.output.mkdirSync('./', { recursive: true });
       instrumentation.stop();
@@ -241,20 +626,53 @@ abstract class Filter extends Plugin {
 
     let prevTime = process.hrtime();
     let instrumentation = heimdall.start('derivePatches', DerivePatchesSchema);
+    let derivePatchesStart = this._trace ? this._trace.now() : 0;
 
     let walkStart = process.hrtime();
-    let entries = this.input.entries('./');
+    let entries = this._resolveOutputCollisions(this._inputEntries());
     let nextTree = FSTree.fromEntries(entries);
     let walkDuration = timeSince(walkStart);
 
     let invalidationsStart = process.hrtime();
-    let invalidated = this.dependencies && this.dependencies.getInvalidatedFiles() || [];
+    let invalidations = this.dependencies && this._traceSerial('hashDependencies', { step: 'getInvalidatedFiles' }, () => this.dependencies!.getInvalidations()) || new Map<string, Array<string>>();
+    let invalidated = Array.from(invalidations.keys());
     this._logger.info('found', invalidated.length, 'files invalidated due to dependency changes.');
     let invalidationPatches = invalidationsAsPatches(invalidated, this.currentTree, nextTree);
     let invalidationsDuration = timeSince(invalidationsStart);
 
-    let patches = this.currentTree.calculatePatch(nextTree);
-    patches = addPatches(invalidationPatches, patches);
+    let treePatches = this.currentTree.calculatePatch(nextTree);
+    let patches = addPatches(invalidationPatches, treePatches);
+    let forced = new Array<string>();
+    let retried = this._retryFiles;
+    // the files that failed in the previous build and did not change since,
+    // which are not retried again if they fail again.
+    let failedAgain = new Set<string>();
+    for (let entry of entries) {
+      let failedEntry = this._failedEntries.get(entry.relativePath);
+      if (failedEntry !== undefined && FSTree.defaultIsEqual(failedEntry, entry)) {
+        failedAgain.add(entry.relativePath);
+      }
+    }
+    this._failedEntries = new Map();
+
+    if (this._retryFiles.length > 0) {
+      this._logger.info('retrying', this._retryFiles.length, 'files that were not processed in the previous build.');
+      patches = addPatches(invalidationsAsPatches(this._retryFiles, this.currentTree, nextTree), patches);
+      forced.push(...this._retryFiles);
+      this._retryFiles = [];
+    }
+    // the dependency changes of the retried files were used up by the failed
+    // build, so they are still processed instead of read from the cache.
+    let forceInvalidated = new Set([...invalidated, ...this._retryInvalidated]);
+    this._retryInvalidated = new Set();
+
+    let sourceMapInvalidated = new Array<string>();
+    if (this.sourceMaps) {
+      sourceMapInvalidated = this._sourceMapInvalidations(patches, nextTree);
+      this._logger.info('found', sourceMapInvalidated.length, 'files invalidated due to source map changes.');
+      patches = addPatches(invalidationsAsPatches(sourceMapInvalidated, this.currentTree, nextTree), patches);
+      forced.push(...sourceMapInvalidated);
+    }
 
     instrumentation.stats.patches = patches.length;
     instrumentation.stats.entries = entries.length;
@@ -268,10 +686,23 @@ abstract class Filter extends Plugin {
       duration: walkDuration
     };
 
+    let previousTree = this.currentTree;
     this.currentTree = nextTree;
 
     this._logger.info('derivePatches', 'duration:', timeSince(prevTime), JSON.stringify(instrumentation.stats));
 
+    if (this._report) {
+      this._report.derivePatches = instrumentation.stats;
+      recordReasons(this._report, treePatches, invalidated, forced, wasReset);
+    }
+    if (this._trace) {
+      this._trace.complete('derivePatches', 'filter', 0, derivePatchesStart, instrumentation.stats);
+    }
+    if (this.explain) {
+      this._handledReasons = explainPatches(treePatches, invalidations, sourceMapInvalidated, retried, wasReset);
+      this._explanations = new Map();
+    }
+
     instrumentation.stop();
 
     if (this.dependencies && patches.length > 0) {
@@ -281,6 +712,7 @@ abstract class Filter extends Plugin {
 
     if (patches.length === 0) {
       // no work, exit early
+      this._publishDependencies();
       return;
     } else {
       // do actual work, that may fail
@@ -288,8 +720,16 @@ abstract class Filter extends Plugin {
     }
 
     // used with options.async = true to allow 'create' and 'change' operations to complete async
-    const pendingWork = new Array<() => Promise<string | ProcessResult | undefined>>();
-    return heimdall.node('applyPatches', ApplyPatchesSchema, async (instrumentation) => {
+    const pendingWork = new Array<() => Promise<string | ProcessResult | BufferResult | undefined>>();
+    const state: ApplyPatchesState = { errors: [], applied: new Set(), failed: [] };
+    let trace = this._trace;
+    let applyPatchesStart = trace ? trace.now() : 0;
+    let applyPatchesStats: ApplyPatchesSchema | undefined;
+    let applying = heimdall.node('applyPatches', ApplyPatchesSchema, async (instrumentation) => {
+      applyPatchesStats = instrumentation;
+      if (this._report) {
+        this._report.applyPatches = instrumentation;
+      }
       let prevTime = process.hrtime();
       await mapSeries(patches, (patch: FSTree.Operation) => {
         let operation = patch[0];
@@ -300,26 +740,47 @@ abstract class Filter extends Plugin {
         }
         let outputPath = this.getDestFilePath(relativePath, entry) || relativePath || './';
         let outputFilePath = outputPath;
-        let forceInvalidation = invalidated.includes(relativePath);
+        let forceInvalidation = forceInvalidated.has(relativePath);
 
         this._logger.debug('[operation:%s] %s', operation, relativePath);
 
         switch (operation) {
           case 'mkdir': {
-            instrumentation.mkdir++;
-            return this.output.mkdirSync(outputPath);
+            return this._applyPatch(state, patch, srcDir, () => {
+              instrumentation.mkdir++;
+              return this.output.mkdirSync(outputPath);
+            });
           } case 'rmdir': {
-            instrumentation.rmdir++;
-            return this.output.rmdirSync(outputPath);
+            return this._applyPatch(state, patch, srcDir, () => {
+              instrumentation.rmdir++;
+              return this.output.rmdirSync(outputPath);
+            });
           } case 'unlink': {
-            instrumentation.unlink++;
-            return this.output.unlinkSync(outputPath);
+            return this._applyPatch(state, patch, srcDir, () => {
+              instrumentation.unlink++;
+              this.processor.removeFile(relativePath);
+              if (this._consumedSourceMaps[relativePath]) {
+                // the source map was read as part of its source file, and was
+                // never written to the output.
+                delete this._consumedSourceMaps[relativePath];
+                return;
+              }
+              if (this._droppedFiles[relativePath]) {
+                // the file was never written to the output.
+                delete this._droppedFiles[relativePath];
+                return;
+              }
+              this._removeOutputFiles(relativePath, []);
+              delete this._diagnostics[relativePath];
+              delete this._outputLinks[outputPath];
+              return this.output.unlinkSync(outputPath);
+            });
           } case 'change': {
             // wrap this in a function so it doesn't actually run yet, and can be throttled
-            let changeOperation = () => {
+            let changeOperation = () => this._applyPatch(state, patch, srcDir, () => {
               instrumentation.change++;
               return this._handleFile(relativePath, srcDir, destDir, entry!, outputFilePath, forceInvalidation, true, instrumentation);
-            };
+            });
             if (this.async) {
               pendingWork.push(changeOperation);
               return;
@@ -327,10 +788,10 @@ abstract class Filter extends Plugin {
             return changeOperation();
           } case 'create': {
             // wrap this in a function so it doesn't actually run yet, and can be throttled
-            let createOperation = () => {
+            let createOperation = () => this._applyPatch(state, patch, srcDir, () => {
               instrumentation.create++;
               return this._handleFile(relativePath, srcDir, destDir, entry!, outputFilePath, forceInvalidation, false, instrumentation);
-            };
+            });
             if (this.async) {
               pendingWork.push(createOperation);
               return;
@@ -342,58 +803,313 @@ abstract class Filter extends Plugin {
         }
       });
       const result = await queue(worker, pendingWork, this.concurrency);
+      let errors = state.errors;
+      if (errors.length > 0) {
+        // an operation on the output that failed, or a retry that failed
+        // again, is not fixed by retrying it, so the next build starts over.
+        let startOver = state.failed.some(([operation, relativePath]) => (operation !== 'create' && operation !== 'change') || failedAgain.has(relativePath));
+        if (!startOver) {
+          for (let [, relativePath, entry] of state.failed) {
+            this._failedEntries.set(relativePath, entry!);
+          }
+          // keep the work that was done, and retry the rest in the next build.
+          this._prepareRetry(previousTree, patches.filter(patch => !state.applied.has(patch)), forceInvalidated);
+          if (this.dependencies) {
+            this._traceSerial('hashDependencies', { step: 'sealDependencies' }, () => this.processor.sealDependencies(this.dependencies!));
+          }
+          this._needsReset = false;
+          this._publishDependencies();
+        }
+        if (this.collectErrors) {
+          errors.sort((a, b) => a.file < b.file ? -1 : a.file > b.file ? 1 : 0);
+          throw new ProcessingError(errors);
+        }
+        throw errors[0];
+      }
+      await this.processor.afterBuild(this, instrumentation);
       this._logger.info('applyPatches', 'duration:', timeSince(prevTime), JSON.stringify(instrumentation));
       if (this.dependencies) {
-        this.processor.sealDependencies(this.dependencies);
+        this._traceSerial('hashDependencies', { step: 'sealDependencies' }, () => this.processor.sealDependencies(this.dependencies!));
       }
       this._needsReset = false;
+      this._publishDependencies();
       return result;
     });
+    try {
+      return await applying;
+    } finally {
+      if (trace) {
+        trace.complete('applyPatches', 'filter', 0, applyPatchesStart, applyPatchesStats);
+      }
+    }
+  }
+
+  /**
+   * Runs `run`, and records it as a span of the serial work of the build when
+   * the build is traced.
+   */
+  _traceSerial<T>(name: string, args: object, run: () => T): T {
+    let trace = this._trace;
+    if (!trace) {
+      return run();
+    }
+    let start = trace.now();
+    try {
+      return run();
+    } finally {
+      trace.complete(name, 'dependencies', 0, start, args);
+    }
+  }
+
+  /**
+   * The entries of the input tree, without the file through which the
+   * `watchExternalDependencies` option triggers rebuilds.
+   */
+  _inputEntries(): Array<Entry> {
+    let entries = this.input.entries('./');
+    if (this._externalDependencyWatcher) {
+      entries = entries.filter(entry => entry.relativePath !== ExternalDependencyWatcher.FILE_NAME);
+    }
+    return entries;
+  }
+
+  /**
+   * Finds the input files that would be written to the same output file, or
+   * to output files whose paths only differ in case, which would overwrite
+   * each other on a case-insensitive filesystem. The files that lose to
+   * another one in `resolveOutputCollision` are left out of the returned
+   * entries, so that they are neither processed nor passed through, and an
+   * `OutputCollisionError` is thrown for the collisions it cannot resolve.
+   * Files that are dropped by `getPassthroughMode` cannot collide, and
+   * neither can files that are all passed through, which are written as they
+   * are in the input.
+   */
+  _resolveOutputCollisions(entries: Array<Entry>): Array<Entry> {
+    let sourcesByOutput = new Map<string, Array<Entry>>();
+    for (let entry of entries) {
+      if (entry.isDirectory()) {
+        continue;
+      }
+      if (!this.canProcessFile(entry.relativePath, entry) && this.getPassthroughMode(entry.relativePath, entry) === 'drop') {
+        continue;
+      }
+      let outputPath = this.getDestFilePath(entry.relativePath, entry) || entry.relativePath;
+      let key = outputPath.toLowerCase();
+      let sources = sourcesByOutput.get(key);
+      if (sources === undefined) {
+        sourcesByOutput.set(key, [entry]);
+      } else {
+        sources.push(entry);
+      }
+    }
+
+    let unresolved = new Array<CollisionError.Collision>();
+    let skipped = new Set<string>();
+    for (let sources of sourcesByOutput.values()) {
+      if (sources.length < 2 || !sources.some(entry => this.canProcessFile(entry.relativePath, entry))) {
+        continue;
+      }
+      let collision = {
+        sources: sources.map(entry => entry.relativePath),
+        outputPaths: sources.map(entry => this.getDestFilePath(entry.relativePath, entry) || entry.relativePath)
+      };
+      let kept = this.resolveOutputCollision(collision);
+      if (kept === null || !collision.sources.includes(kept)) {
+        unresolved.push(collision);
+        continue;
+      }
+      this._logger.info('[collision] keeping', kept, 'of', collision.sources.join(', '));
+      for (let source of collision.sources) {
+        if (source !== kept) {
+          skipped.add(source);
+        }
+      }
+    }
+
+    if (unresolved.length > 0) {
+      throw new CollisionError(unresolved);
+    }
+    return skipped.size === 0 ? entries : entries.filter(entry => !skipped.has(entry.relativePath));
+  }
+
+  /**
+   * Runs `operation`, the work of `patch`, and records whether it succeeded
+   * in `state`. Once an operation has failed, the remaining ones are left for
+   * the next build, unless the `collectErrors` option is set.
+   */
+  async _applyPatch<T>(state: ApplyPatchesState, patch: FSTree.Operation, srcDir: string, operation: () => T | Promise<T>): Promise<T | undefined> {
+    if (state.errors.length > 0 && !this.collectErrors) {
+      return undefined;
+    }
+    try {
+      let result = await operation();
+      state.applied.add(patch);
+      return result;
+    } catch (e) {
+      let error = e;
+      if (typeof e !== 'object' || e === null) error = new Error('' + e);
+      if (error.file === undefined) {
+        error.file = patch[1];
+        error.treeDir = srcDir;
+      }
+      if (this._report) {
+        this._report.file(patch[1]).error = error.message;
+      }
+      state.errors.push(error);
+      state.failed.push(patch);
+      return undefined;
+    }
+  }
+
+  /**
+   * Makes the next build retry the `unapplied` patches of a failed build,
+   * rather than starting over: the current tree is reverted to the
+   * `previousTree` for their files, so that they are part of the next diff,
+   * and the files that were to be processed are invalidated, in case their
+   * entries are unchanged (e.g. when a dependency changed). Those that were in
+   * `forceInvalidated` are not read from the persistent cache either.
+   */
+  _prepareRetry(previousTree: FSTree, unapplied: FSTree.Patch, forceInvalidated: Set<string>) {
+    let entries = new Map<string, FSTree.Entry>();
+    for (let entry of this.currentTree.entries) {
+      entries.set(entry.relativePath, entry);
+    }
+    let previousEntries = new Map<string, FSTree.Entry>();
+    for (let entry of previousTree.entries) {
+      previousEntries.set(entry.relativePath, entry);
+    }
+    for (let [operation, relativePath] of unapplied) {
+      let previousEntry = previousEntries.get(relativePath);
+      if (previousEntry) {
+        entries.set(relativePath, previousEntry);
+      } else {
+        entries.delete(relativePath);
+      }
+      if (operation === 'create' || operation === 'change') {
+        this._retryFiles.push(relativePath);
+        if (forceInvalidated.has(relativePath)) {
+          this._retryInvalidated.add(relativePath);
+        }
+      }
+    }
+    this.currentTree = FSTree.fromEntries(Array.from(entries.values()), { sortAndExpand: true });
   }
 
   async _handleFile(relativePath: string, srcDir: string, destDir: string, entry: Entry, outputPath: string, forceInvalidation: boolean, isChange: boolean, stats: ApplyPatchesSchema) {
     stats.handleFile++;
 
     let handleFileStart = process.hrtime();
+    let fileReport: Report.File | null = null;
+    let trace = this._trace;
+    let slot = trace ? trace.acquireSlot(relativePath) : 0;
+    let traceStart = trace ? trace.now() : 0;
     try {
-      let result: string | ProcessResult | undefined;
+      let result: string | ProcessResult | BufferResult | undefined;
       let srcPath = srcDir + '/' + relativePath;
 
+      if (this.sourceMaps && this._isInputSourceMap(relativePath)) {
+        this._logger.debug('[sourceMap:%s] is read with its source file, skipping', relativePath);
+        this._consumedSourceMaps[relativePath] = true;
+        if (this._outputLinks[outputPath] === true) {
+          delete this._outputLinks[outputPath];
+          this.output.unlinkSync(outputPath);
+        }
+        return;
+      }
+
+      fileReport = this._report && this._report.file(relativePath);
+      // a dropped file stays dropped until it has an output, so that it has
+      // nothing to unlink if it fails to process and is then removed.
+      let wasDropped = this._droppedFiles[relativePath] === true;
+
       if (this.canProcessFile(relativePath, entry)) {
         stats.processed++;
+        if (fileReport) {
+          fileReport.action = 'processed';
+        }
         if (this._outputLinks[outputPath] === true) {
           delete this._outputLinks[outputPath];
           this.output.unlinkSync(outputPath);
         }
         result = await this.processAndCacheFile(srcDir, destDir, entry, forceInvalidation, isChange, stats);
       } else {
-        stats.linked++;
-        if (isChange) {
+        if (isChange && !wasDropped) {
+          delete this._outputLinks[outputPath];
           this.output.unlinkSync(outputPath);
         }
-        this.output.symlinkOrCopySync(srcPath, outputPath);
+        let mode = this.getPassthroughMode(relativePath, entry);
+        if (fileReport) {
+          fileReport.action = mode === 'link' ? 'linked' : mode === 'copy' ? 'copied' : 'dropped';
+          fileReport.outputSize = mode === 'drop' || entry.size === undefined ? null : entry.size;
+        }
+        switch (mode) {
+          case 'link': {
+            stats.linked++;
+            this.output.symlinkOrCopySync(srcPath, outputPath);
+            this._outputLinks[outputPath] = true;
+            delete this._droppedFiles[relativePath];
+            break;
+          } case 'copy': {
+            stats.copied++;
+            this.output.writeFileSync(outputPath, this.input.readFileSync(relativePath));
+            this._outputLinks[outputPath] = true;
+            delete this._droppedFiles[relativePath];
+            break;
+          } case 'drop': {
+            stats.dropped++;
+            this._droppedFiles[relativePath] = true;
+            break;
+          } default: {
+            assertNever(mode, `[BroccoliPersistentFilter] getPassthroughMode("${relativePath}") must return one of ${PASSTHROUGH_MODES.join(', ')}, got "${mode}"`);
+          }
+        }
         result = undefined;
-        this._outputLinks[outputPath] = true;
       }
       return result;
     } finally {
-      stats.handleFileTime += nanosecondsSince(handleFileStart);
+      let duration = nanosecondsSince(handleFileStart);
+      stats.handleFileTime += duration;
+      if (fileReport) {
+        fileReport.duration = duration / 1e6;
+      }
+      if (trace) {
+        trace.releaseSlot(relativePath);
+        trace.complete('handleFile', 'file', slot, traceStart, { relativePath });
+      }
     }
   }
 
   /*
  The cache key to be used for this plugins set of dependencies. By default
- a hash is created based on `package.json` and nested dependencies.
+ a hash is created based on `package.json` and nested dependencies, and the
+ `include`, `exclude`, `worker` and `workerOptions` options.
 
  Implement this to customize the cache key (for example if you need to
- account for non-NPM dependencies).
+ account for non-NPM dependencies). Overrides that don't call this method
+ must account for those options themselves, since they change the output.
 
  @public
  @method cacheKey
  @returns {String}
  */
   cacheKey() {
-    return hashForDep(this.baseDir());
+    let key = hashForDep(this.baseDir());
+    if (this.include !== undefined || this.exclude !== undefined) {
+      key = md5Hex([key, JSON.stringify({ include: this.include, exclude: this.exclude })]);
+    }
+    if (this.worker !== undefined) {
+      key = md5Hex([key, JSON.stringify({ worker: this.worker, workerOptions: this.workerOptions })]);
+    }
+    return key;
+  }
+
+  /**
+   * Tells this filter apart from the others of the build in a way that is
+   * the same in every process, for the records kept between processes that
+   * are about this filter rather than its cache bucket.
+   */
+  _stableId(): string {
+    return describeNode(this, new Map());
   }
 
 /* @public
@@ -416,11 +1132,213 @@ abstract class Filter extends Plugin {
     return md5Hex(string + 0x00 + relativePath);
   }
 
-  canProcessFile(relativePath: string, entry: Entry) {
-    return !!this.getDestFilePath(relativePath, entry);
+  /**
+   * @public
+   *
+   * The diagnostics, like lint warnings, returned from `processString` and
+   * `processBuffer` for the files of the tree, ordered by the path of the
+   * processed file. Those of files read from the persistent cache are
+   * included too.
+   *
+   * @method getDiagnostics
+   * @returns {Array<Diagnostic>}
+   */
+  getDiagnostics(): Array<FileDiagnostic> {
+    let diagnostics = new Array<FileDiagnostic>();
+    for (let relativePath of Object.keys(this._diagnostics).sort()) {
+      diagnostics.push(...this._diagnostics[relativePath]);
+    }
+    return diagnostics;
+  }
+
+  /**
+   * @public
+   *
+   * Removes the entries of the persistent cache bucket that no file of the
+   * tree uses anymore, e.g. those of deleted files or of previous versions of
+   * edited files. Does nothing before the first successful build.
+   *
+   * @method sweepPersistentCache
+   * @returns {Promise<Number>} the number of removed entries
+   */
+  async sweepPersistentCache(): Promise<number> {
+    if (!this._processorInitialized) {
+      return 0;
+    }
+    return await this.processor.sweepCache();
+  }
+
+  /**
+   * @public
+   *
+   * Describes what the `dependencies` of the plugin look like after the
+   * last build: the dependencies of each file, the files that depend on each
+   * dependency, and the state captured for each dependency to detect its
+   * changes. Returns `null` unless `dependencyInvalidation` is enabled and a
+   * build ran.
+   *
+   * @method dependencyGraph
+   * @returns {DependencyGraph | null}
+   */
+  dependencyGraph(): Dependencies.Graph | null {
+    return this.dependencies && this.dependencies.graph();
+  }
+
+  /**
+   * @public
+   *
+   * Writes the `dependencyGraph()` as JSON to `basePath + '.json'`, and in
+   * the Graphviz DOT language to `basePath + '.dot'`.
+   *
+   * @method writeDependencyGraph
+   * @param {String} basePath
+   * @returns {Boolean} whether there was a graph to write.
+   */
+  writeDependencyGraph(basePath: string): boolean {
+    let graph = this.dependencyGraph();
+    if (!graph) {
+      return false;
+    }
+    fs.mkdirSync(path.dirname(basePath), { recursive: true });
+    fs.writeFileSync(basePath + '.json', JSON.stringify(graph, null, 2));
+    fs.writeFileSync(basePath + '.dot', Dependencies.graphToDot(graph));
+    return true;
+  }
+
+  /**
+   * Shares the dependencies captured by a build with the tools that use them
+   * outside of the plugin.
+   */
+  _publishDependencies() {
+    if (!this.dependencies) {
+      return;
+    }
+    if (this._externalDependencyWatcher) {
+      this._externalDependencyWatcher.watch(this.dependencies.externalDependencies());
+    }
+    this._dumpDependencyGraph();
+  }
+
+  /**
+   * A name for the files the plugin writes for debugging, made of its name
+   * and annotation, and a number that tells apart plugins with the same name.
+   */
+  _debugFileName(): string {
+    if (this._debugName === undefined) {
+      let name = this.toString().replace(/[^\w.-]+/g, '-').replace(/^-|-$/g, '');
+      this._debugName = `${name}-${nextDebugNameId++}`;
+    }
+    return this._debugName;
+  }
+
+  /**
+   * Where the report of a build is written: the `buildReport` option, or a
+   * file named after the plugin in the directory the
+   * `BROCCOLI_PERSISTENT_FILTER_BUILD_REPORT` environment variable is set to.
+   */
+  _buildReportPath(): string | undefined {
+    if (this.buildReport) {
+      return path.resolve(this.buildReport);
+    }
+    let dir = process.env['BROCCOLI_PERSISTENT_FILTER_BUILD_REPORT'];
+    if (dir) {
+      return path.resolve(dir, this._debugFileName() + '.build-report.json');
+    }
+    return undefined;
+  }
+
+  /**
+   * Where the trace of a build is written: the `trace` option, or a file
+   * named after the plugin in the directory the
+   * `BROCCOLI_PERSISTENT_FILTER_TRACE` environment variable is set to.
+   */
+  _tracePath(): string | undefined {
+    if (this.trace) {
+      return path.resolve(this.trace);
+    }
+    let dir = process.env['BROCCOLI_PERSISTENT_FILTER_TRACE'];
+    if (dir) {
+      return path.resolve(dir, this._debugFileName() + '.trace.json');
+    }
+    return undefined;
+  }
+
+  /**
+   * Writes the dependency graph after each build when the
+   * `BROCCOLI_PERSISTENT_FILTER_DEPENDENCY_GRAPH` environment variable is set
+   * to a directory, in a file named after the plugin.
+   */
+  _dumpDependencyGraph() {
+    let dir = process.env['BROCCOLI_PERSISTENT_FILTER_DEPENDENCY_GRAPH'];
+    if (!dir || !this.dependencies) {
+      return;
+    }
+    let basePath = path.resolve(dir, this._debugFileName());
+    this.writeDependencyGraph(basePath);
+    this._logger.info('wrote the dependency graph to', basePath + '.json');
+  }
+
+  /**
+   * @public
+   *
+   * The equivalent of `cacheKeyProcessString` for files that are read as
+   * buffers because `inputEncoding` is `null`.
+   *
+   * @param  {Buffer} buffer The contents of a file that is being processed
+   * @return {String}        A cache key
+   */
+  cacheKeyProcessBuffer(buffer: Buffer, relativePath: string) {
+    return md5Hex([buffer, '' + 0x00 + relativePath]);
+  }
+
+  canProcessFile(relativePath: string, entry?: Entry) {
+    return this._isIncluded(relativePath) && !!this.getDestFilePath(relativePath, entry);
+  }
+
+  /**
+   * Whether `relativePath` matches the `include` globs, if any, and none of
+   * the `exclude` globs.
+   */
+  _isIncluded(relativePath: string): boolean {
+    let isIncluded = this._canProcessCache[relativePath];
+    if (isIncluded === undefined) {
+      isIncluded = (this._includeMatchers.length === 0 || this._includeMatchers.some(matcher => matcher.match(relativePath))) &&
+        !this._excludeMatchers.some(matcher => matcher.match(relativePath));
+      this._canProcessCache[relativePath] = isIncluded;
+    }
+    return isIncluded;
   }
 
-  isDirectory(relativePath: string, entry: Entry) {
+  /**
+   * Determines how a file that is not processed, given by its relative path
+   * and entry, is written to the output: `'link'` symlinks it, `'copy'`
+   * copies it, and `'drop'` leaves it out.
+   *
+   * By default, returns the `passthrough` option.
+   */
+  getPassthroughMode(_relativePath: string, _entry?: Entry): PassthroughMode {
+    return this.passthrough;
+  }
+
+  /**
+   * Chooses which of the input files in `collision`, which are written to the
+   * same output file, is processed or passed through. The others are left
+   * out of the output. Returns `null` to fail the build instead.
+   *
+   * By default, resolves collisions according to the `outputCollisions`
+   * option.
+   */
+  resolveOutputCollision(collision: CollisionError.Collision): string | null {
+    if (this.outputCollisions === 'prefer-processed') {
+      let processed = collision.sources.filter(source => this.canProcessFile(source));
+      if (processed.length === 1) {
+        return processed[0];
+      }
+    }
+    return null;
+  }
+
+  isDirectory(relativePath: string, entry?: Entry) {
     if (this.inputPaths === undefined) {
       return false;
     }
@@ -442,32 +1360,51 @@ abstract class Filter extends Plugin {
     }
   }
 
-  getDestFilePath(relativePath: string, entry: Entry) {
+  getDestFilePath(relativePath: string, entry?: Entry) {
     // NOTE: relativePath may have been moved or unlinked
     if (this.isDirectory(relativePath, entry)) {
       return null;
     }
 
-    if (this.extensions == null) {
-      return relativePath;
+    if (!this._isIncluded(relativePath)) {
+      return null;
     }
 
-    for (let i = 0, ii = this.extensions.length; i < ii; ++i) {
-      let ext = this.extensions[i];
-      if (relativePath.slice(-ext.length - 1) === '.' + ext) {
-        if (this.targetExtension != null) {
-          relativePath = relativePath.slice(0, -ext.length) + this.targetExtension;
-        }
+    let targetExtension = this.targetExtension;
+    let extensions = this.extensions;
+    if (extensions == null) {
+      if (!isExtensionMap(targetExtension)) {
         return relativePath;
       }
+      extensions = Object.keys(targetExtension);
     }
 
-    return null;
+    // the longest matching extension wins, so that e.g. `d.ts` takes
+    // precedence over `ts`.
+    let match: string | undefined;
+    for (let i = 0, ii = extensions.length; i < ii; ++i) {
+      let ext = extensions[i];
+      if (relativePath.slice(-ext.length - 1) === '.' + ext && (match === undefined || ext.length > match.length)) {
+        match = ext;
+      }
+    }
+
+    if (match === undefined) {
+      return null;
+    }
+
+    let target = isExtensionMap(targetExtension) ? targetExtension[match] : targetExtension;
+    if (target != null) {
+      relativePath = relativePath.slice(0, -match.length) + target;
+    }
+    return relativePath;
   }
 
-  async processAndCacheFile(srcDir: string, destDir: string, entry: Entry, forceInvalidation: boolean, isChange: boolean, instrumentation: ApplyPatchesSchema): Promise<string | ProcessResult | undefined> {
+  async processAndCacheFile(srcDir: string, destDir: string, entry: Entry, forceInvalidation: boolean, isChange: boolean, instrumentation: ApplyPatchesSchema): Promise<string | ProcessResult | BufferResult | undefined> {
     let filter = this;
     let relativePath = entry.relativePath;
+    // the diagnostics of the previous version of the file no longer apply.
+    delete this._diagnostics[relativePath];
     try {
       return await filter.processFile(srcDir, destDir, relativePath, forceInvalidation, isChange, instrumentation, entry);
     } catch (e) {
@@ -479,7 +1416,7 @@ abstract class Filter extends Plugin {
     }
   }
 
-  async processFile(_srcDir: string, _destDir: string, relativePath: string, forceInvalidation: boolean, isChange: boolean, instrumentation: ApplyPatchesSchema, entry: Entry): Promise<string | ProcessResult | undefined> {
+  async processFile(_srcDir: string, _destDir: string, relativePath: string, forceInvalidation: boolean, isChange: boolean, instrumentation: ApplyPatchesSchema, entry: Entry): Promise<string | ProcessResult | BufferResult | undefined> {
     let filter = this;
     let inputEncoding = this.inputEncoding;
     let outputEncoding = this.outputEncoding;
@@ -487,15 +1424,39 @@ abstract class Filter extends Plugin {
     if (inputEncoding === undefined)  inputEncoding  = 'utf8';
     if (outputEncoding === undefined) outputEncoding = 'utf8';
 
-    let contents = this.input.readFileSync(relativePath, {
-      encoding: inputEncoding
-    });
+    let output: ProcessResult | BufferResult | NoOutput;
+    let map: SourceMap | string | undefined;
+    let fileReport = this._report && this._report.file(relativePath);
+
+    if (inputEncoding === null) {
+      let contents = this.input.readFileSync(relativePath);
+
+      instrumentation.processString++;
+      let processStringStart = process.hrtime();
+      output = await this._processWithCacheStats(instrumentation, relativePath, fileReport, fileInstrumentation => {
+        return invoke(this.processor, this.processor.processBuffer, [this, contents, relativePath, forceInvalidation, fileInstrumentation]);
+      });
+      instrumentation.processStringTime += nanosecondsSince(processStringStart);
+    } else {
+      let contents = this.input.readFileSync(relativePath, {
+        encoding: inputEncoding
+      });
+
+      let inputSourceMap: SourceMap | undefined;
+      if (this.sourceMaps) {
+        inputSourceMap = this._readInputSourceMap(relativePath, contents);
+      }
+
+      instrumentation.processString++;
+      let processStringStart = process.hrtime();
+      let stringOutput = await this._processWithCacheStats(instrumentation, relativePath, fileReport, fileInstrumentation => {
+        return invoke(this.processor, this.processor.processString, [this, contents, relativePath, forceInvalidation, fileInstrumentation, inputSourceMap]);
+      });
+      instrumentation.processStringTime += nanosecondsSince(processStringStart);
+      map = stringOutput === null ? undefined : stringOutput.map;
+      output = stringOutput;
+    }
 
-    instrumentation.processString++;
-    let processStringStart = process.hrtime();
-    let output = await invoke(this.processor, this.processor.processString, [this, contents, relativePath, forceInvalidation, instrumentation]);
-    instrumentation.processStringTime += nanosecondsSince(processStringStart);
-    let outputString = typeof output === 'string' ? output : output.output;
     let outputPath = filter.getDestFilePath(relativePath, entry);
 
     if (outputPath == null) {
@@ -504,8 +1465,49 @@ abstract class Filter extends Plugin {
                       relativePath + '") is null');
     }
 
+    if (output === null) {
+      this._logger.debug('[noOutput:%s] removing any previous output', relativePath);
+      this._removeOutputFiles(relativePath, []);
+      if (this.output.existsSync(outputPath)) {
+        this.output.unlinkSync(outputPath);
+      }
+      // like a dropped file, it has nothing to unlink once it is removed.
+      this._droppedFiles[relativePath] = true;
+      if (fileReport) {
+        fileReport.action = 'no-output';
+      }
+      return undefined;
+    }
+
+    let outputString = output.output;
+    let outputFiles = output.outputFiles;
+    this._recordDiagnostics(relativePath, output.diagnostics);
+
+    if (this.sourceMaps && map !== undefined && typeof outputString === 'string') {
+      let mapPath = outputPath + '.map';
+      let mapString = typeof map === 'string' ? map : JSON.stringify(Object.assign({}, map, { file: path.basename(outputPath) }));
+      outputFiles = Object.assign({}, outputFiles, { [mapPath]: mapString });
+      outputString = setSourceMappingURL(outputString, outputPath, path.basename(mapPath));
+    } else if (this.sourceMaps && typeof outputString === 'string') {
+      // input source maps are not copied to the output, so a comment that
+      // still refers to one would point at nothing, unless it is written as
+      // one of the `outputFiles`.
+      let url = getSourceMappingURL(outputString);
+      let inputMapPath = url === undefined ? undefined : resolveSourceMapPath(relativePath, url);
+      if (inputMapPath !== undefined && this._isInputSourceMap(inputMapPath) && !(outputFiles && inputMapPath in outputFiles)) {
+        outputString = removeSourceMappingURL(outputString) + (outputString.endsWith('\n') ? '\n' : '');
+      }
+    }
+
+    this._writeOutputFiles(relativePath, outputFiles || {}, outputEncoding);
+
+    if (fileReport) {
+      let files = outputFiles || {};
+      fileReport.outputSize = Object.keys(files).reduce((size, file) => size + byteLength(files[file], outputEncoding!), byteLength(outputString, outputEncoding));
+    }
+
     if (isChange) {
-      let isSame = this.output.readFileSync(outputPath, 'UTF-8') === outputString;
+      let isSame = this._isSameOutput(outputPath, outputString);
       if (isSame) {
         this._logger.debug('[change:%s] but was the same, skipping', relativePath, isSame);
         return;
@@ -514,15 +1516,95 @@ abstract class Filter extends Plugin {
       }
     }
 
+    this._writeFile(outputPath, outputString, outputEncoding);
+    delete this._droppedFiles[relativePath];
+
+    return output;
+  }
+
+  /**
+   * Runs `run` with instrumentation of its own, so that what the
+   * persistent cache did for the file is known even when files are processed
+   * concurrently, and adds its counters to `instrumentation`. The
+   * instrumentation carries the trace lane of the file, if any, and tells
+   * why the cache missed, which is part of the explanation of the file
+   * unless it was read from the cache.
+   */
+  async _processWithCacheStats<T>(instrumentation: ApplyPatchesSchema, relativePath: string, fileReport: Report.File | null, run: (fileInstrumentation: ApplyPatchesSchema) => Promise<T>): Promise<T> {
+    let fileInstrumentation = new ApplyPatchesSchema();
+    if (this._trace) {
+      fileInstrumentation.trace = this._trace.laneOf(relativePath);
+    }
     try {
-      this.output.writeFileSync(outputPath, outputString, {
+      return await run(fileInstrumentation);
+    } finally {
+      instrumentation.persistentCacheHit += fileInstrumentation.persistentCacheHit;
+      instrumentation.persistentCachePrime += fileInstrumentation.persistentCachePrime;
+      instrumentation.persistentCacheMemoryHit += fileInstrumentation.persistentCacheMemoryHit;
+      instrumentation.persistentCacheMemoryMiss += fileInstrumentation.persistentCacheMemoryMiss;
+      if (fileReport) {
+        fileReport.cache = cacheStatus(fileInstrumentation);
+      }
+      if (this.explain && fileInstrumentation.persistentCacheHit === 0) {
+        this._explain(relativePath, fileInstrumentation.cacheMiss);
+      }
+    }
+  }
+
+  _explain(relativePath: string, cacheMiss: CacheMiss | undefined) {
+    let explanation = cacheMiss ?
+      Object.assign({ relativePath }, cacheMiss) :
+      this._handledReasons.get(relativePath) || { relativePath, reason: 'content-changed' as const };
+    this._explanations.set(relativePath, explanation);
+    this._logger.info('[explain] %s: %s', relativePath, describeExplanation(explanation));
+  }
+
+  /**
+   * @public
+   *
+   * Why each file that the last build processed was processed, rather than
+   * read from the persistent cache, when the `explain` option is enabled.
+   *
+   * @method explanations
+   * @returns {Array<Explanation>} sorted by relative path.
+   */
+  explanations(): Array<FileExplanation> {
+    return Array.from(this._explanations.values())
+      .sort((a, b) => a.relativePath < b.relativePath ? -1 : a.relativePath > b.relativePath ? 1 : 0);
+  }
+
+  /**
+   * Keeps the diagnostics returned for the file at `relativePath`, whether
+   * it was just processed or read from the persistent cache.
+   */
+  _recordDiagnostics(relativePath: string, diagnostics: Array<FileDiagnostic> | undefined) {
+    if (diagnostics && diagnostics.length > 0) {
+      this._diagnostics[relativePath] = diagnostics.map(diagnostic => Object.assign({ file: relativePath }, diagnostic));
+    }
+  }
+
+  _isSameOutput(outputPath: string, contents: string | Buffer): boolean {
+    if (!this.output.existsSync(outputPath)) {
+      // e.g. a file that failed to process in the previous build.
+      return false;
+    }
+    if (typeof contents === 'string') {
+      return this.output.readFileSync(outputPath, 'UTF-8') === contents;
+    } else {
+      return contents.equals(this.output.readFileSync(outputPath));
+    }
+  }
+
+  _writeFile(outputPath: string, contents: string | Buffer, outputEncoding: string | null) {
+    try {
+      this.output.writeFileSync(outputPath, contents, {
         encoding: outputEncoding
       });
 
     } catch (e) {
       if (e !== null && typeof e === 'object' && e.code === 'ENOENT') {
         this.output.mkdirSync(path.dirname(outputPath), { recursive: true });
-        this.output.writeFileSync(outputPath, outputString, {
+        this.output.writeFileSync(outputPath, contents, {
           encoding: outputEncoding
         });
       } else {
@@ -530,28 +1612,232 @@ abstract class Filter extends Plugin {
         throw e;
       }
     }
+  }
 
-    return output;
+  /**
+   * Writes the additional files returned as `outputFiles` from
+   * `processString` for the input file at `relativePath`, and removes any
+   * files that were written for it previously but are no longer produced.
+   *
+   * @param relativePath {string} the input file the files were produced from.
+   * @param outputFiles {Record<string, string | Buffer>} file contents keyed
+   *   by their path relative to the output tree.
+   */
+  _writeOutputFiles(relativePath: string, outputFiles: Record<string, string | Buffer>, outputEncoding: string | null) {
+    let previousFiles = this._outputFiles[relativePath] || [];
+    let currentFiles = Object.keys(outputFiles).map(file => {
+      if (path.isAbsolute(file)) {
+        throw new Error('[BroccoliPersistentFilter] outputFiles for "' + relativePath +
+                        '" must be relative to the output tree, got "' + file + '"');
+      }
+      return resolveRelative(file);
+    });
+
+    this._removeOutputFiles(relativePath, currentFiles);
+
+    Object.keys(outputFiles).forEach((file, i) => {
+      let outputFilePath = currentFiles[i];
+      let contents = outputFiles[file];
+      if (this._outputLinks[outputFilePath] === true) {
+        delete this._outputLinks[outputFilePath];
+        this.output.unlinkSync(outputFilePath);
+      } else if (previousFiles.includes(outputFilePath) && this._isSameOutput(outputFilePath, contents)) {
+        this._logger.debug('[outputFile:%s] for %s was the same, skipping', outputFilePath, relativePath);
+        return;
+      }
+      this._writeFile(outputFilePath, contents, outputEncoding);
+    });
+
+    if (currentFiles.length > 0) {
+      this._outputFiles[relativePath] = currentFiles;
+    }
   }
 
   /**
-   * @param _contents {string}
-   * @param _relativePath {string}
-   * @returns {string}
+   * Removes the additional files that were written for the input file at
+   * `relativePath`, except for those listed in `keep`.
    */
-  processString(_contents: string, _relativePath: string): string | ProcessResult | Promise<string | ProcessResult> {
+  _removeOutputFiles(relativePath: string, keep: Array<string>) {
+    let previousFiles = this._outputFiles[relativePath];
+    if (!previousFiles) {
+      return;
+    }
+    for (let file of previousFiles) {
+      if (!keep.includes(file)) {
+        this.output.unlinkSync(file);
+      }
+    }
+    delete this._outputFiles[relativePath];
+  }
+
+  /**
+   * Whether `relativePath` is the sibling `.map` file of an input file that
+   * this filter processes. These are read along with their source file
+   * instead of being passed through to the output.
+   */
+  _isInputSourceMap(relativePath: string): boolean {
+    if (path.extname(relativePath) !== '.map') {
+      return false;
+    }
+    let sourcePath = relativePath.slice(0, -'.map'.length);
+    return this.input.existsSync(sourcePath) && this.canProcessFile(sourcePath);
+  }
+
+  /**
+   * Finds the source map of the input file at `relativePath`. It is read from
+   * an inline `sourceMappingURL`, from the file a `sourceMappingURL` refers
+   * to, or from a sibling `.map` file, in that order.
+   *
+   * @param relativePath {string}
+   * @param contents {string} the contents of the input file.
+   * @returns {SourceMap | undefined}
+   */
+  _readInputSourceMap(relativePath: string, contents: string): SourceMap | undefined {
+    let url = getSourceMappingURL(contents);
+    let json = url === undefined ? undefined : decodeDataURL(url);
+    let candidates = [relativePath + '.map'];
+
+    delete this._inputSourceMaps[relativePath];
+    if (url !== undefined && json === undefined) {
+      let mapPath = resolveSourceMapPath(relativePath, url);
+      if (mapPath !== undefined) {
+        // remembered so that changes to the map invalidate this file.
+        this._inputSourceMaps[relativePath] = mapPath;
+        candidates.unshift(mapPath);
+      }
+    }
+
+    if (json === undefined) {
+      for (let mapPath of candidates) {
+        if (this.input.existsSync(mapPath)) {
+          json = this.input.readFileSync(mapPath, 'utf8');
+          break;
+        }
+      }
+    }
+
+    if (json === undefined) {
+      return undefined;
+    }
+
+    try {
+      return JSON.parse(json);
+    } catch (e) {
+      throw new Error('[BroccoliPersistentFilter] Could not parse the source map of "' + relativePath + '": ' + e.message);
+    }
+  }
+
+  /**
+   * The processable files whose input source map was created, changed or
+   * removed by `patches`.
+   */
+  _sourceMapInvalidations(patches: FSTree.Patch, nextTree: FSTree): Array<string> {
+    let files = new Set<string>();
+    for (let entry of nextTree.entries) {
+      if (!entry.isDirectory()) {
+        files.add(entry.relativePath);
+      }
+    }
+
+    let invalidated = new Set<string>();
+    for (let [operation, relativePath] of patches) {
+      if (operation !== 'create' && operation !== 'change' && operation !== 'unlink') {
+        continue;
+      }
+      let sources = Object.keys(this._inputSourceMaps).filter(source => this._inputSourceMaps[source] === relativePath);
+      if (path.extname(relativePath) === '.map') {
+        sources.push(relativePath.slice(0, -'.map'.length));
+      }
+      for (let source of sources) {
+        if (files.has(source) && this.canProcessFile(source)) {
+          invalidated.add(source);
+        }
+      }
+    }
+    return Array.from(invalidated);
+  }
+
+  /**
+   * @param contents {string}
+   * @param relativePath {string}
+   * @param inputSourceMap {SourceMap | undefined} the source map of the input
+   *   file, when the `sourceMaps` option is enabled.
+   * @returns {string | ProcessStringResult | null} the output, or `null` if
+   *   the file should not produce any output.
+   */
+  processString(contents: string, relativePath: string, inputSourceMap?: SourceMap): string | ProcessResult | NoOutput | Promise<string | ProcessResult | NoOutput> {
+    if (this.worker) {
+      return this._getWorkerPool().run('processString', [contents, relativePath, inputSourceMap]) as Promise<string | ProcessResult | NoOutput>;
+    }
     throw new Error(
         '[BroccoliPersistentFilter] When subclassing broccoli-persistent-filter you must implement the ' +
         '`processString()` method.');
   }
 
-  postProcess(result: ProcessResult, _relativePath: string): ProcessResult | Promise<ProcessResult> {
+  /**
+   * Called instead of `processString` when `inputEncoding` is `null`. By
+   * default, the buffer is passed on to `processString`, which may return a
+   * string.
+   *
+   * @param contents {Buffer}
+   * @param relativePath {string}
+   * @returns {Buffer | ProcessBufferResult | null}
+   */
+  processBuffer(contents: Buffer, relativePath: string): Buffer | BufferResult | NoOutput | Promise<Buffer | BufferResult | NoOutput> {
+    if (this.worker) {
+      return this._getWorkerPool().run('processBuffer', [contents, relativePath]) as Promise<Buffer | BufferResult | NoOutput>;
+    }
+    return this.processString(contents as unknown as string, relativePath) as unknown as Buffer | BufferResult | NoOutput | Promise<Buffer | BufferResult | NoOutput>;
+  }
+
+  postProcess(result: ProcessResult, _relativePath: string): ProcessResult | NoOutput | Promise<ProcessResult | NoOutput> {
     return result;
   }
+
+  /**
+   * The pool of worker threads running the module given as the `worker`
+   * option. It is sized by `concurrency`.
+   */
+  _getWorkerPool(): WorkerPool {
+    if (this._workerPool === null) {
+      this._workerPool = new WorkerPool(this.worker!, {
+        size: this.concurrency,
+        options: this.workerOptions
+      });
+    }
+    return this._workerPool;
+  }
 }
 
 namespace Filter {
   export type ProcessStringResult<Data = {}> = ProcessResult<Data>;
+  export type InputSourceMap = SourceMap;
+  export type ProcessBufferResult<Data = {}> = BufferResult<Data>;
+  export type Diagnostic = FileDiagnostic;
+  export type CacheStore = Store;
+  export type CacheStoreFactory = StoreFactory;
+  export type CacheStoreEvictionLimits = EvictionLimits;
+  export const AggregateProcessingError = ProcessingError;
+  export type AggregateProcessingError = ProcessingError;
+  export const OutputCollisionError = CollisionError;
+  export type OutputCollisionError = CollisionError;
+  export type OutputCollision = CollisionError.Collision;
+  export type Passthrough = PassthroughMode;
+  export type ExternalDependencyTracking = Dependencies.ExternalTracking;
+  export type DependencyGraph = Dependencies.Graph;
+  export type DependencyGraphNode = Dependencies.GraphNode;
+  export type Dependency = Dependencies.Dependency;
+  export type BuildReport = Report.Report;
+  export type BuildReportFile = Report.File;
+  export type TraceEvent = Trace.Event;
+  export type Explanation = FileExplanation;
+  export type ExplanationReason = FileExplanationReason;
+  export const DiskCacheStore = DiskStore;
+  export type DiskCacheStore = DiskStore;
+  export const MemoryCacheStore = MemoryStore;
+  export type MemoryCacheStore = MemoryStore;
+  export const HttpCacheStore = HttpStore;
+  export type HttpCacheStore = HttpStore;
 }
 
 export = Filter;
@@ -0,0 +1,38 @@
+namespace OutputCollisionError {
+  /**
+   * Input files that are written to the same output file, or to output files
+   * whose paths only differ in case. `outputPaths[i]` is the output path of
+   * `sources[i]`.
+   */
+  export interface Collision {
+    sources: Array<string>;
+    outputPaths: Array<string>;
+  }
+}
+
+function describe(collision: OutputCollisionError.Collision): string {
+  let sources = collision.sources.join(', ');
+  let outputPaths = collision.outputPaths.filter((outputPath, i) => collision.outputPaths.indexOf(outputPath) === i);
+  if (outputPaths.length === 1) {
+    return `${sources} are written to ${outputPaths[0]}`;
+  }
+  return `${sources} are written to ${outputPaths.join(', ')}, which only differ in case`;
+}
+
+/**
+ * The error thrown by a build in which several input files are written to the
+ * same output file, unless `Filter.prototype.resolveOutputCollision` resolves
+ * the collision.
+ */
+class OutputCollisionError extends Error {
+  collisions: Array<OutputCollisionError.Collision>;
+
+  constructor(collisions: Array<OutputCollisionError.Collision>) {
+    let details = collisions.map(collision => `  ${describe(collision)}`);
+    super(`[BroccoliPersistentFilter] several input files are written to the same output file:\n${details.join('\n')}`);
+    this.name = 'OutputCollisionError';
+    this.collisions = collisions;
+  }
+}
+
+export = OutputCollisionError;
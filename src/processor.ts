@@ -1,6 +1,7 @@
 import DefaultProcessor = require('./strategies/default');
 import { Strategy, Context, InstrumentationSchema} from './strategies/strategy';
 import Dependencies = require('./dependencies');
+import { SourceMap } from './source-maps';
 
 namespace Processor {
   export interface Options {
@@ -24,16 +25,20 @@ class Processor implements Strategy {
     this.processor.init(ctx);
   }
 
-  processString(ctx: Context, contents: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema) {
-    return this.processor.processString(ctx, contents, relativePath, forceInvalidation, instrumentation);
+  processString(ctx: Context, contents: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema, inputSourceMap?: SourceMap) {
+    return this.processor.processString(ctx, contents, relativePath, forceInvalidation, instrumentation, inputSourceMap);
+  }
+
+  processBuffer(ctx: Context, contents: Buffer, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema) {
+    return this.processor.processBuffer(ctx, contents, relativePath, forceInvalidation, instrumentation);
   }
 
   /**
    * Create the initial dependencies.
    * @param options options is used to pass the custom fs operations implementations
    */
-  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string) {
-    return this.processor.initialDependencies(rootFS, inputEncoding);
+  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string, trackingOptions?: Dependencies.TrackingOptions) {
+    return this.processor.initialDependencies(rootFS, inputEncoding, trackingOptions);
   }
 
   /**
@@ -45,6 +50,24 @@ class Processor implements Strategy {
   sealDependencies(dependencies: Dependencies) {
     this.processor.sealDependencies(dependencies);
   }
+
+  /**
+   * Called once all the patches of a build have been applied.
+   */
+  afterBuild(ctx: Context, instrumentation: InstrumentationSchema) {
+    return this.processor.afterBuild(ctx, instrumentation);
+  }
+
+  /**
+   * Called when a file is removed from the input.
+   */
+  removeFile(relativePath: string) {
+    this.processor.removeFile(relativePath);
+  }
+
+  sweepCache() {
+    return this.processor.sweepCache();
+  }
 }
 
 export = Processor;
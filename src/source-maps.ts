@@ -0,0 +1,91 @@
+'use strict';
+
+import { posix as path } from 'path';
+
+export interface SourceMap {
+  version: number;
+  file?: string;
+  sourceRoot?: string;
+  sources: Array<string>;
+  sourcesContent?: Array<string | null>;
+  names?: Array<string>;
+  mappings: string;
+}
+
+// Matches both `//# sourceMappingURL=...` and `/*# sourceMappingURL=... */`
+// comments, as well as the deprecated `//@` form, at the end of a line.
+const SOURCE_MAPPING_URL = /(?:\/\/[#@]\s*sourceMappingURL=([^\s'"]+)\s*$|\/\*[#@]\s*sourceMappingURL=([^\s*'"]+)\s*\*\/\s*$)/mg;
+const DATA_URL = /^data:application\/json(;[^,]*)?,(.*)$/;
+
+/**
+ * Finds the last `sourceMappingURL` comment in `contents`.
+ *
+ * @param contents {string}
+ * @returns {string | undefined} the URL, if any.
+ */
+export function getSourceMappingURL(contents: string): string | undefined {
+  let url;
+  let match;
+  SOURCE_MAPPING_URL.lastIndex = 0;
+  while ((match = SOURCE_MAPPING_URL.exec(contents))) {
+    url = match[1] || match[2];
+  }
+  return url;
+}
+
+/**
+ * Removes all `sourceMappingURL` comments from `contents`.
+ */
+export function removeSourceMappingURL(contents: string): string {
+  return contents.replace(SOURCE_MAPPING_URL, '').replace(/\s+$/, '');
+}
+
+/**
+ * Replaces any `sourceMappingURL` comments in `contents` with one that points
+ * at `url`, using a block comment for css files.
+ *
+ * @param contents {string} the file contents.
+ * @param outputPath {string} the path of the file, used to pick the comment style.
+ * @param url {string} the url of the source map.
+ */
+export function setSourceMappingURL(contents: string, outputPath: string, url: string): string {
+  let comment = path.extname(outputPath) === '.css' ?
+    `/*# sourceMappingURL=${url} */` :
+    `//# sourceMappingURL=${url}`;
+  return removeSourceMappingURL(contents) + '\n' + comment + '\n';
+}
+
+/**
+ * Decodes a `data:application/json` url, returning `undefined` for any other
+ * kind of url.
+ */
+export function decodeDataURL(url: string): string | undefined {
+  let match = url.match(DATA_URL);
+  if (!match) {
+    return undefined;
+  }
+  let params = match[1] || '';
+  if (params.split(';').includes('base64')) {
+    return Buffer.from(match[2], 'base64').toString('utf8');
+  } else {
+    return decodeURIComponent(match[2]);
+  }
+}
+
+/**
+ * Resolves a relative `sourceMappingURL` against the file that refers to it.
+ * Returns `undefined` for absolute and non-file urls.
+ *
+ * @param relativePath {string} the path of the file containing the url.
+ * @param url {string}
+ */
+export function resolveSourceMapPath(relativePath: string, url: string): string | undefined {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || path.isAbsolute(url)) {
+    return undefined;
+  }
+  let mapPath = path.normalize(path.join(path.dirname(relativePath), decodeURI(url)));
+  if (mapPath.startsWith('../')) {
+    return undefined;
+  }
+  return mapPath;
+}
@@ -0,0 +1,189 @@
+import AsyncDiskCache = require('async-disk-cache');
+import Rimraf = require('rimraf');
+import * as fs from 'fs';
+import * as path from 'path';
+import nativePromise from '../util/nativePromise';
+import { CacheStore, EvictionLimits } from './store';
+
+const rimraf = Rimraf.sync;
+
+interface CacheFile {
+  file: string;
+  filePath: string;
+  size: number;
+  lastUsed: number;
+}
+
+/**
+ * Lists the entries stored in the cache directory `root`.
+ */
+function readEntries(root: string): Array<CacheFile> {
+  let files: Array<string>;
+  try {
+    files = fs.readdirSync(root);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return [];
+    }
+    throw e;
+  }
+  let entries = new Array<CacheFile>();
+  for (let file of files) {
+    let filePath = path.join(root, file);
+    try {
+      let stat = fs.statSync(filePath);
+      if (stat.isFile()) {
+        entries.push({ file, filePath, size: stat.size, lastUsed: stat.mtime.getTime() });
+      }
+    } catch (e) {
+      // the entry may have been removed by another process.
+    }
+  }
+  return entries;
+}
+
+/**
+ * @returns {boolean} whether the entry was removed.
+ */
+function removeEntry(filePath: string): boolean {
+  try {
+    fs.unlinkSync(filePath);
+    return true;
+  } catch (e) {
+    // the entry may have been removed by another process.
+    return false;
+  }
+}
+
+namespace DiskCacheStore {
+  export interface Options {
+    /**
+     * The directory the cache buckets are stored in. Defaults to the
+     * operating system's directory for temporary files.
+     */
+    location?: string;
+  }
+}
+
+/**
+ * The default cache store, which keeps each entry of a bucket in a deflated
+ * file of its own.
+ */
+class DiskCacheStore implements CacheStore {
+  _cache: AsyncDiskCache;
+
+  constructor(cacheKey: string, options: DiskCacheStore.Options = {}) {
+    // required lazily, like the persistent strategy itself, so that the
+    // cache's instrumentation is only registered once a cache is used.
+    const Cache: typeof AsyncDiskCache = require('async-disk-cache');
+    this._cache = new Cache(cacheKey, {
+      location: options.location,
+      compression: 'deflate'
+    });
+  }
+
+  /**
+   * The directory of the bucket.
+   */
+  get root() {
+    return this._cache.root;
+  }
+
+  get tmpdir() {
+    return this._cache.tmpdir;
+  }
+
+  pathFor(key: string) {
+    return this._cache.pathFor(key);
+  }
+
+  async get(key: string) {
+    let entry = await nativePromise(this._cache.get<string>(key));
+    return entry.isCached ? entry.value : undefined;
+  }
+
+  async set(key: string, value: string) {
+    await nativePromise(this._cache.set(key, value));
+  }
+
+  async delete(key: string) {
+    await nativePromise(this._cache.remove(key));
+  }
+
+  has(key: string) {
+    return nativePromise(this._cache.has(key));
+  }
+
+  /**
+   * Unlike `AsyncDiskCache#clear`, removes the bucket synchronously, so that
+   * it cannot race with the entries written right after.
+   */
+  clear() {
+    rimraf(this.root);
+  }
+
+  /**
+   * The modification time of an entry is used as its last access time, since
+   * access times are not updated by many filesystems.
+   */
+  touch(key: string) {
+    let now = new Date();
+    try {
+      fs.utimesSync(this.pathFor(key), now, now);
+    } catch (e) {
+      // the entry may have been removed by another process.
+    }
+  }
+
+  /**
+   * Evicts entries that are older than `maxAge`, and then the least recently
+   * used entries until the bucket is no larger than `maxSize`.
+   *
+   * @returns {number} the number of evicted entries.
+   */
+  evict(limits: EvictionLimits): number {
+    let entries = readEntries(this.root);
+
+    // most recently used first.
+    entries.sort((a, b) => b.lastUsed - a.lastUsed);
+
+    let now = Date.now();
+    let totalSize = 0;
+    let evicted = 0;
+    for (let entry of entries) {
+      let isExpired = limits.maxAge !== undefined && now - entry.lastUsed > limits.maxAge;
+      let isOverSize = limits.maxSize !== undefined && totalSize + entry.size > limits.maxSize;
+      if (isExpired || isOverSize) {
+        if (removeEntry(entry.filePath)) {
+          evicted++;
+        }
+      } else {
+        totalSize += entry.size;
+      }
+    }
+    return evicted;
+  }
+
+  /**
+   * @returns {number} the number of removed entries.
+   */
+  sweep(liveKeys: Set<string>): number {
+    let live = new Set<string>();
+    for (let key of liveKeys) {
+      live.add(path.basename(this.pathFor(key)));
+    }
+
+    let swept = 0;
+    for (let entry of readEntries(this.root)) {
+      if (live.has(entry.file)) {
+        continue;
+      }
+      if (removeEntry(entry.filePath)) {
+        swept++;
+      }
+    }
+    return swept;
+  }
+}
+
+export = DiskCacheStore;
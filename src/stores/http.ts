@@ -0,0 +1,107 @@
+import * as http from 'http';
+import * as https from 'https';
+import { URL } from 'url';
+import { CacheStore } from './store';
+
+namespace HttpCacheStore {
+  export interface Options {
+    /**
+     * The base url of the store. Entries are stored at `<url>/<key>`.
+     */
+    url: string;
+    /**
+     * Headers sent with every request, e.g. for authentication.
+     */
+    headers?: Record<string, string>;
+    /**
+     * The time in milliseconds to wait for a response. Defaults to 10 seconds.
+     */
+    timeout?: number;
+  }
+}
+
+interface Response {
+  statusCode: number;
+  body: string;
+}
+
+/**
+ * A cache store backed by an HTTP key/value server, e.g. a cache shared by a
+ * team. The server is expected to handle:
+ *
+ * - `GET <url>/<key>`: respond with the value, or with a 404
+ * - `HEAD <url>/<key>`: respond with a 200, or with a 404
+ * - `PUT <url>/<key>`: store the request body
+ * - `DELETE <url>/<key>`: remove the entry
+ * - `DELETE <url>/`: remove every entry
+ */
+class HttpCacheStore implements CacheStore {
+  url: string;
+  headers: Record<string, string>;
+  timeout: number;
+
+  constructor(options: HttpCacheStore.Options) {
+    if (!options || typeof options.url !== 'string') {
+      throw new TypeError('[BroccoliPersistentFilter] HttpCacheStore requires a `url` option.');
+    }
+    this.url = options.url.replace(/\/+$/, '') + '/';
+    this.headers = options.headers || {};
+    this.timeout = options.timeout === undefined ? 10 * 1000 : options.timeout;
+  }
+
+  async get(key: string) {
+    let response = await this._request('GET', key, [200, 404]);
+    return response.statusCode === 200 ? response.body : undefined;
+  }
+
+  async set(key: string, value: string) {
+    await this._request('PUT', key, [200, 201, 204], value);
+  }
+
+  async delete(key: string) {
+    await this._request('DELETE', key, [200, 204, 404]);
+  }
+
+  async has(key: string) {
+    let response = await this._request('HEAD', key, [200, 404]);
+    return response.statusCode === 200;
+  }
+
+  async clear() {
+    await this._request('DELETE', '', [200, 204, 404]);
+  }
+
+  _request(method: string, key: string, expectedStatus: Array<number>, body?: string): Promise<Response> {
+    let url = new URL(this.url + encodeURIComponent(key));
+    let transport = url.protocol === 'https:' ? https : http;
+    let headers: Record<string, string | number> = Object.assign({}, this.headers);
+    if (body !== undefined) {
+      headers['content-type'] = 'text/plain; charset=utf-8';
+      headers['content-length'] = Buffer.byteLength(body);
+    }
+
+    return new Promise((resolve, reject) => {
+      let fail = (reason: string) => {
+        reject(new Error(`[BroccoliPersistentFilter] HttpCacheStore: ${method} ${url} ${reason}`));
+      };
+      let request = transport.request(url, { method, headers, timeout: this.timeout }, response => {
+        let chunks: Array<Buffer> = [];
+        response.on('data', (chunk: Buffer) => chunks.push(chunk));
+        response.on('error', (error: Error) => fail(`failed: ${error.message}`));
+        response.on('end', () => {
+          let statusCode = response.statusCode!;
+          if (expectedStatus.includes(statusCode)) {
+            resolve({ statusCode, body: Buffer.concat(chunks).toString('utf8') });
+          } else {
+            fail(`responded with status ${statusCode}`);
+          }
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error(`timed out after ${this.timeout}ms`)));
+      request.on('error', (error: Error) => fail(`failed: ${error.message}`));
+      request.end(body);
+    });
+  }
+}
+
+export = HttpCacheStore;
@@ -0,0 +1,40 @@
+import { CacheStore } from './store';
+
+/**
+ * A cache store that keeps its entries in memory, for the lifetime of the
+ * process. Useful to share a cache between the filters of a process, e.g. in
+ * tests.
+ */
+class MemoryCacheStore implements CacheStore {
+  _entries: Map<string, string>;
+
+  constructor() {
+    this._entries = new Map();
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  get(key: string) {
+    return this._entries.get(key);
+  }
+
+  set(key: string, value: string) {
+    this._entries.set(key, value);
+  }
+
+  delete(key: string) {
+    this._entries.delete(key);
+  }
+
+  has(key: string) {
+    return this._entries.has(key);
+  }
+
+  clear() {
+    this._entries.clear();
+  }
+}
+
+export = MemoryCacheStore;
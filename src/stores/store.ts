@@ -0,0 +1,56 @@
+/**
+ * The limits of a bounded persistent cache, see `CacheStore#evict`.
+ */
+export interface EvictionLimits {
+  /**
+   * The maximum size in bytes of the entries in the store.
+   */
+  maxSize?: number;
+  /**
+   * The maximum time in milliseconds since an entry was last used.
+   */
+  maxAge?: number;
+}
+
+/**
+ * The storage behind the persistent cache of a filter. A store holds the
+ * entries of a single cache bucket; the values are serialized cache entries.
+ *
+ * Any method may return its result directly instead of a promise.
+ */
+export interface CacheStore {
+  /**
+   * @returns the value stored for `key`, or `undefined` if there is none.
+   */
+  get(key: string): string | undefined | Promise<string | undefined>;
+  set(key: string, value: string): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  has(key: string): boolean | Promise<boolean>;
+  /**
+   * Removes every entry of the store.
+   */
+  clear(): void | Promise<void>;
+
+  /**
+   * Records that the entry for `key` was used. Only needed by stores that
+   * implement `evict` or `sweep`.
+   */
+  touch?(key: string): void | Promise<void>;
+  /**
+   * Removes the entries that exceed `limits`, least recently used first.
+   *
+   * @returns the number of removed entries.
+   */
+  evict?(limits: EvictionLimits): number | Promise<number>;
+  /**
+   * Removes the entries whose key is not in `liveKeys`.
+   *
+   * @returns the number of removed entries.
+   */
+  sweep?(liveKeys: Set<string>): number | Promise<number>;
+}
+
+/**
+ * Creates the store of the cache bucket identified by `cacheKey`.
+ */
+export type CacheStoreFactory = (cacheKey: string) => CacheStore;
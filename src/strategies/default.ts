@@ -1,14 +1,19 @@
-import { Context, ProcessStringResult, Strategy } from './strategy';
+import { Context, ProcessStringResult, ProcessBufferResult, NoOutput, Strategy, InstrumentationSchema } from './strategy';
 import Dependencies = require('../dependencies');
 import assertNever from '../util/assertNever';
+import { SourceMap } from '../source-maps';
 
 class DefaultStrategy implements Strategy {
   init() { }
 
-  async processString(ctx: Context, contents: string, relativePath: string): Promise<string> {
-    let output = await ctx.processString(contents, relativePath)
+  async processString(ctx: Context, contents: string, relativePath: string, _forceInvalidation: boolean, _instrumentation: InstrumentationSchema, inputSourceMap?: SourceMap): Promise<ProcessStringResult | NoOutput> {
+    let output = await ctx.processString(contents, relativePath, inputSourceMap);
     let normalizedValue: ProcessStringResult;
 
+    if (output === null) {
+      return null;
+    }
+
     if (typeof output === 'string') {
       normalizedValue = { output }
     } else {
@@ -21,16 +26,41 @@ class DefaultStrategy implements Strategy {
       assertNever(result, 'You must return an object from `Filter.prototype.postProcess`.');
     }
 
-    return result.output;
+    return result as ProcessStringResult | NoOutput;
+  }
+
+  async processBuffer(ctx: Context, contents: Buffer, relativePath: string): Promise<ProcessBufferResult | NoOutput> {
+    let output = await ctx.processBuffer(contents, relativePath);
+    let normalizedValue: ProcessBufferResult;
+
+    if (output === null) {
+      return null;
+    }
+
+    // the default `processBuffer` returns what `processString` does, which
+    // may be a string.
+    if (Buffer.isBuffer(output) || typeof output === 'string') {
+      normalizedValue = { output };
+    } else {
+      normalizedValue = output;
+    }
+
+    let result = await ctx.postProcess(normalizedValue, relativePath);
+
+    if (result === undefined) {
+      assertNever(result, 'You must return an object from `Filter.prototype.postProcess`.');
+    }
+
+    return result as ProcessBufferResult | NoOutput;
   }
 
   /**
    * By default initial dependencies are empty.
    */
-  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string): Dependencies {
+  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string, trackingOptions?: Dependencies.TrackingOptions): Dependencies {
     // Dependencies start out empty and sealed as if they came from
     // the previous build iteration.
-    return (new Dependencies(rootFS, inputEncoding)).seal().captureDependencyState();
+    return (new Dependencies(rootFS, inputEncoding, trackingOptions)).seal().captureDependencyState();
   }
 
   /**
@@ -40,6 +70,17 @@ class DefaultStrategy implements Strategy {
   sealDependencies(dependencies: Dependencies): void {
     dependencies.seal().captureDependencyState();
   }
+
+  afterBuild() { }
+
+  removeFile() { }
+
+  /**
+   * There is no cache to sweep.
+   */
+  sweepCache(): number {
+    return 0;
+  }
 };
 
 export = DefaultStrategy;
@@ -1,93 +1,507 @@
-import { Context, ProcessStringResult, Strategy, InstrumentationSchema } from './strategy';
-import AsyncDiskCache = require('async-disk-cache');
+import { Context, ProcessStringResult, ProcessBufferResult, NoOutput, Strategy, InstrumentationSchema, CacheMiss } from './strategy';
 import SyncDiskCache = require('sync-disk-cache');
 import Dependencies = require('../dependencies');
+import DiskCacheStore = require('../stores/disk');
+import { CacheStore, CacheStoreFactory } from '../stores/store';
 import Rimraf = require('rimraf');
 import * as process from 'process';
-import nativePromise from '../util/nativePromise';
 import assertNever from '../util/assertNever';
+import LRU from '../util/lru';
+import md5Hex = require('../md5-hex');
+import { SourceMap } from '../source-maps';
 
 const rimraf = Rimraf.sync;
 
+type CacheEntry = ProcessStringResult | ProcessBufferResult | NoOutput;
+
+/**
+ * What a file was last looked up with: the bucket, its key in the bucket and
+ * the hash of its content.
+ */
+interface Lookup {
+  bucket: string;
+  key: string;
+  contentHash: string;
+}
+
+// The in-memory tiers, keyed by bucket. They are shared by all the filters of
+// the process, so that a filter that is created again, e.g. when a sub-build
+// is restarted, finds the entries of its predecessor.
+const MEMORY_CACHES = new Map<string, LRU<CacheEntry>>();
+
+// The strategies of the process that use each store, so that sweeping keeps
+// the entries any of them uses. Plugins can't be told apart reliably, so a
+// plugin that was replaced, e.g. when a sub-build was restarted, keeps its
+// entries until the process exits. A store is identified by its bucket,
+// unless the same instance is given to every bucket.
+const STORE_USERS = new Map<unknown, Set<PersistentStrategy>>();
+
+// The strategy that last wrote each record of lookups in this process, to
+// notice plugins that can't be told apart and overwrite each other's record.
+const LOOKUP_WRITERS = new Map<string, PersistentStrategy>();
+
+// The minimum time between two evictions by a strategy, in milliseconds, since
+// evicting may scan the whole bucket.
+const EVICT_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Runs `run`, and records it in the trace of the file when the build is
+ * traced.
+ */
+function traced<T>(instrumentation: InstrumentationSchema, name: string, args: object, run: () => T | Promise<T>): Promise<T> {
+  if (instrumentation.trace) {
+    return instrumentation.trace.span(name, 'cache', run, args);
+  }
+  return Promise.resolve(run());
+}
+
+function memoryCacheFor(cacheKey: string, maxSize: number): LRU<CacheEntry> {
+  let memoryCache = MEMORY_CACHES.get(cacheKey);
+  if (memoryCache === undefined) {
+    memoryCache = new LRU(maxSize);
+    MEMORY_CACHES.set(cacheKey, memoryCache);
+  } else {
+    memoryCache.maxSize = maxSize;
+    memoryCache.prune();
+  }
+  return memoryCache;
+}
+
+/**
+ * Copies an entry of the in-memory tier, so that `postProcess` can modify the
+ * result it is given without affecting the cached entry.
+ */
+function copyEntry<T extends CacheEntry>(value: T): T {
+  if (value === null) {
+    return value;
+  }
+  let copy = Object.assign({}, value);
+  if (value.outputFiles) {
+    copy.outputFiles = Object.assign({}, value.outputFiles);
+  }
+  return copy;
+}
+
+/**
+ * Serializes a cache entry. Buffers are stored base64 encoded so that they
+ * survive the round trip through JSON intact.
+ */
+function stringifyEntry(value: CacheEntry): string {
+  return JSON.stringify(value, function (this: any, key: string, v: unknown) {
+    let original = this[key];
+    if (Buffer.isBuffer(original)) {
+      return { type: 'Buffer', base64: original.toString('base64') };
+    }
+    return v;
+  });
+}
+
+/**
+ * Deserializes a cache entry created by `stringifyEntry`.
+ */
+function parseEntry<T>(value: string): T {
+  return JSON.parse(value, (_key: string, v: any) => {
+    if (v !== null && typeof v === 'object' && v.type === 'Buffer' && typeof v.base64 === 'string') {
+      return Buffer.from(v.base64, 'base64');
+    }
+    return v;
+  });
+}
+
+namespace PersistentStrategy {
+  export interface Options {
+    /**
+     * The maximum size in bytes of the cache entries in the bucket.
+     */
+    maxCacheSize?: number;
+    /**
+     * The maximum time in milliseconds since a cache entry was last used.
+     */
+    maxCacheAge?: number;
+    /**
+     * Sweep the entries no file uses out of the bucket every this many builds.
+     */
+    cacheSweepInterval?: number;
+    /**
+     * The store of the bucket, or a function that creates it from the cache
+     * key. Defaults to a `DiskCacheStore`.
+     */
+    cacheStore?: CacheStore | CacheStoreFactory;
+    /**
+     * The maximum size of the in-memory tier checked before the store, in
+     * characters of serialized entries. The tier is disabled by default.
+     */
+    memoryCacheSize?: number;
+  }
+}
+
 interface IPersistentStrategy extends Strategy {
-  _cache?: AsyncDiskCache;
+  _cache?: CacheStore;
   _syncCache?: SyncDiskCache;
   cacheKey(ctx: Context): string;
 }
 
 class PersistentStrategy implements IPersistentStrategy {
-  _cache?: AsyncDiskCache;
+  // This is exposed for testing purposes
+  static __STORE_USERS = STORE_USERS;
+  _cache?: CacheStore;
   _syncCache?: SyncDiskCache;
+  cacheStore: CacheStore | CacheStoreFactory | undefined;
+  /**
+   * Settles once the store has been cleared, see `init`.
+   */
+  _cleared: Promise<void>;
+  maxCacheSize: number | undefined;
+  maxCacheAge: number | undefined;
+  cacheSweepInterval: number | undefined;
+  memoryCacheSize: number | undefined;
+  _memoryCache: LRU<CacheEntry> | undefined;
+  /**
+   * The cache key currently used by each file, keyed by relative path.
+   */
+  _liveKeys: Map<string, string>;
+  _hasMarkedAll: boolean;
+  _builds: number;
+  /**
+   * When the bucket was last evicted by this strategy.
+   */
+  _lastEvicted: number | undefined;
+  _bucket: string | undefined;
+  /**
+   * What the keys of the entries are prefixed with in the store, which is
+   * the bucket when the store is shared by every bucket.
+   */
+  _keyPrefix: string;
+  _storeId: unknown;
+  /**
+   * Where the last lookups of the files are kept between processes when the
+   * context `explain`s, and the key of this plugin in it.
+   */
+  _lookupCache: SyncDiskCache | undefined;
+  _lookupCacheKey: string | undefined;
+  /**
+   * The last lookup of each file, keyed by relative path, when the context
+   * `explain`s.
+   */
+  _lookups: Map<string, Lookup>;
+  _warnedOfSharedLookups: boolean;
+
+  constructor(options: PersistentStrategy.Options = {}) {
+    this.maxCacheSize = options.maxCacheSize;
+    this.maxCacheAge = options.maxCacheAge;
+    this.cacheSweepInterval = options.cacheSweepInterval;
+    this.cacheStore = options.cacheStore;
+    this.memoryCacheSize = options.memoryCacheSize;
+    this._cleared = Promise.resolve();
+    this._liveKeys = new Map();
+    this._hasMarkedAll = false;
+    this._builds = 0;
+    this._lastEvicted = undefined;
+    this._bucket = undefined;
+    this._keyPrefix = '';
+    this._storeId = undefined;
+    this._lookupCache = undefined;
+    this._lookupCacheKey = undefined;
+    this._lookups = new Map();
+    this._warnedOfSharedLookups = false;
+  }
 
   init(ctx: Context) {
     const cacheKey = this.cacheKey(ctx);
+    this._bucket = cacheKey;
 
-    this._cache = new AsyncDiskCache(cacheKey, {
-      location: process.env['BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT'],
-      compression: 'deflate'
-    });
+    this._storeId = cacheKey;
+
+    if (this.cacheStore === undefined) {
+      this._cache = new DiskCacheStore(cacheKey, {
+        location: process.env['BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT']
+      });
+    } else if (typeof this.cacheStore === 'function') {
+      this._cache = this.cacheStore(cacheKey);
+    } else {
+      // the instance holds the entries of every bucket it is given to.
+      this._cache = this.cacheStore;
+      this._keyPrefix = `${cacheKey}/`;
+      this._storeId = this.cacheStore;
+    }
+
+    let users = STORE_USERS.get(this._storeId);
+    if (users === undefined) {
+      users = new Set();
+      STORE_USERS.set(this._storeId, users);
+    }
+    users.add(this);
 
     this._syncCache = new SyncDiskCache(cacheKey, {
       location: process.env['BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT']
     });
 
+    if (this.memoryCacheSize !== undefined) {
+      this._memoryCache = memoryCacheFor(cacheKey, this.memoryCacheSize);
+    }
+
     if (process.env['CLEAR_BROCCOLI_PERSISTENT_FILTER_CACHE'] === 'true') {
-      // this._cache.clear is async and can result in race conditions here.
-      // TODO: update async-disk-cache to have a synchronous `clearSync` method.
-      rimraf(this._cache.root);
+      if (this._memoryCache) {
+        this._memoryCache.clear();
+      }
+      // clearing may be asynchronous; entries are only read and written once
+      // it is done.
+      this._cleared = Promise.resolve(this._cache.clear());
       rimraf(this._syncCache.root);
     }
+
+    if (ctx.explain) {
+      this._loadLookups(ctx);
+    }
+  }
+
+  /**
+   * Reads the last lookups of the files by the same plugin in a previous
+   * process, which may have used another bucket. They are kept outside of
+   * the buckets for that reason, keyed by the `_stableId` of the plugin.
+   */
+  _loadLookups(ctx: Context) {
+    this._lookupCache = new SyncDiskCache('broccoli-persistent-filter-lookups', {
+      location: process.env['BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT']
+    });
+    this._lookupCacheKey = md5Hex(ctx._stableId ? ctx._stableId() : String(ctx));
+    let result = this._lookupCache.get<string>(this._lookupCacheKey);
+    if (result.isCached) {
+      let lookups: Record<string, Lookup> = JSON.parse(result.value);
+      for (let relativePath of Object.keys(lookups)) {
+        this._lookups.set(relativePath, lookups[relativePath]);
+      }
+    }
   }
 
   cacheKey(ctx: Context) {
     return ctx.cacheKey!();
   }
 
-  async processString(ctx: Context, contents: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema): Promise<string> {
+  async processString(ctx: Context, contents: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema, inputSourceMap?: SourceMap): Promise<ProcessStringResult | NoOutput> {
     let key = ctx.cacheKeyProcessString!(contents, relativePath);
+    if (inputSourceMap) {
+      // the input source map affects the output, but isn't part of `contents`.
+      key = md5Hex([key, JSON.stringify(inputSourceMap)]);
+    }
+    let contentHash = ctx.explain ? md5Hex(inputSourceMap ? [contents, JSON.stringify(inputSourceMap)] : contents) : undefined;
+    let value = await this._getOrProcess<ProcessStringResult | NoOutput>(key, relativePath, forceInvalidation, instrumentation, contentHash, async () => {
+      let result = await ctx.processString(contents, relativePath, inputSourceMap);
+      return typeof result === 'string' ? { output: result } : result;
+    });
+
+    // the decision not to produce any output is cached like any other.
+    if (value === null) {
+      return null;
+    }
+
+    let result = await ctx.postProcess(value, relativePath);
+
+    if (result === undefined) {
+      assertNever(result, 'You must return an object from `Filter.prototype.postProcess`.');
+    }
+    return result as ProcessStringResult | NoOutput;
+  }
+
+  async processBuffer(ctx: Context, contents: Buffer, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema): Promise<ProcessBufferResult | NoOutput> {
+    let key = ctx.cacheKeyProcessBuffer!(contents, relativePath);
+    let contentHash = ctx.explain ? md5Hex(contents) : undefined;
+    let value = await this._getOrProcess<ProcessBufferResult | NoOutput>(key, relativePath, forceInvalidation, instrumentation, contentHash, async () => {
+      let result = await ctx.processBuffer(contents, relativePath);
+      return Buffer.isBuffer(result) || typeof result === 'string' ? { output: result } : result;
+    });
+
+    if (value === null) {
+      return null;
+    }
+
+    let result = await ctx.postProcess(value, relativePath);
+
+    if (result === undefined) {
+      assertNever(result, 'You must return an object from `Filter.prototype.postProcess`.');
+    }
+    return result as ProcessBufferResult | NoOutput;
+  }
+
+  /**
+   * Reads the entry for `key` from the in-memory tier or the store, or
+   * computes it with `compute` and stores it when it is not cached (or
+   * `forceInvalidation` is set). Either way, `key` is marked as the one
+   * `relativePath` currently uses.
+   *
+   * With a `contentHash`, the lookup is remembered, and a miss is explained
+   * by comparing it to the previous lookup of the file.
+   */
+  async _getOrProcess<T extends CacheEntry>(key: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema, contentHash: string | undefined, compute: () => Promise<T>): Promise<T> {
     let cache = this._cache!;
-    let value: ProcessStringResult;
+    let memoryCache = this._memoryCache;
+    let storeKey = this._keyPrefix + key;
+    let value: T;
+    let serialized: string;
+
+    this._liveKeys.set(relativePath, storeKey);
+
+    await this._cleared;
+
+    if (memoryCache && !forceInvalidation) {
+      let cached = memoryCache.get(key);
+      if (cached !== undefined) {
+        instrumentation.persistentCacheMemoryHit++;
+        instrumentation.persistentCacheHit++;
+        this._rememberLookup(relativePath, key, contentHash);
+        if (cache.touch) {
+          await cache.touch(storeKey);
+        }
+        return copyEntry(cached as T);
+      }
+      instrumentation.persistentCacheMemoryMiss++;
+    }
 
-    let entry = await nativePromise(cache.get<string>(key));
-    if (entry.isCached && !forceInvalidation) {
+    let entry = forceInvalidation ? undefined : await traced(instrumentation, 'cache.get', { key: storeKey }, () => cache.get(storeKey));
+    if (entry !== undefined) {
       instrumentation.persistentCacheHit++;
-      value = JSON.parse(entry.value);
+      this._rememberLookup(relativePath, key, contentHash);
+      serialized = entry;
+      value = parseEntry<T>(entry);
+      if (cache.touch) {
+        await cache.touch(storeKey);
+      }
     } else {
       instrumentation.persistentCachePrime++;
-
-      let result = await ctx.processString(contents, relativePath)
-      if (typeof result === 'string') {
-        value = { output: result };
-      } else {
-        value = result;
+      let previousLookup = this._lookups.get(relativePath);
+      if (contentHash !== undefined && !forceInvalidation && previousLookup) {
+        instrumentation.cacheMiss = this._explainMiss(previousLookup, key, contentHash);
       }
-      let stringValue = JSON.stringify(value);
 
-      await nativePromise(cache.set(key, stringValue));
+      value = await compute();
+      serialized = stringifyEntry(value);
+
+      await traced(instrumentation, 'cache.set', { key: storeKey, size: serialized.length }, () => cache.set(storeKey, serialized));
+      this._rememberLookup(relativePath, key, contentHash);
     }
 
-    let result = await ctx.postProcess(value, relativePath);
+    if (memoryCache) {
+      memoryCache.set(key, value, serialized.length);
+      return copyEntry(value);
+    }
+    return value;
+  }
 
-    if (result === undefined) {
-      assertNever(result, 'You must return an object from `Filter.prototype.postProcess`.');
+  /**
+   * Remembers that the file has an entry for `key`, when explaining. A file
+   * that failed to process has none, so its previous lookup is kept.
+   */
+  _rememberLookup(relativePath: string, key: string, contentHash: string | undefined) {
+    if (contentHash !== undefined) {
+      this._lookups.set(relativePath, { bucket: this._bucket!, key, contentHash });
+    }
+  }
+
+  _explainMiss(previous: Lookup, key: string, contentHash: string): CacheMiss {
+    if (previous.bucket !== this._bucket) {
+      return { reason: 'bucket-changed', previousKey: previous.bucket, key: this._bucket };
+    } else if (previous.contentHash !== contentHash) {
+      return { reason: 'content-changed' };
+    } else if (previous.key !== key) {
+      return { reason: 'cache-key-changed', previousKey: previous.key, key };
+    }
+    return { reason: 'cache-evicted', key };
+  }
+
+  _isBounded() {
+    return this.maxCacheSize !== undefined || this.maxCacheAge !== undefined;
+  }
+
+  async afterBuild(ctx: Context, instrumentation: InstrumentationSchema) {
+    this._builds++;
+    // the first successful build processes every file in the tree.
+    this._hasMarkedAll = true;
+
+    let cache = this._cache!;
+    let now = Date.now();
+    if (this._isBounded() && cache.evict && (this._lastEvicted === undefined || now - this._lastEvicted >= EVICT_INTERVAL)) {
+      this._lastEvicted = now;
+      instrumentation.persistentCacheEvicted += await cache.evict({
+        maxSize: this.maxCacheSize,
+        maxAge: this.maxCacheAge
+      });
+    }
+    if (this.cacheSweepInterval !== undefined && this._builds % this.cacheSweepInterval === 0) {
+      instrumentation.persistentCacheSwept += await this.sweepCache();
+    }
+    if (this._lookupCache) {
+      this._writeLookups(ctx);
+    }
+  }
+
+  /**
+   * Writes the last lookups of the files for the next process. Another
+   * strategy that wrote the same record since this one last did belongs to a
+   * plugin that can't be told apart from this one, and the explanations of
+   * both are unreliable, which is reported once. A strategy that replaced
+   * this one, e.g. when a sub-build was restarted, writes it first and is
+   * fine.
+   */
+  _writeLookups(ctx: Context) {
+    let key = this._lookupCacheKey!;
+    let writer = LOOKUP_WRITERS.get(key);
+    if (writer !== undefined && writer !== this && this._builds > 1 && !this._warnedOfSharedLookups && ctx._logger) {
+      this._warnedOfSharedLookups = true;
+      ctx._logger.warn(`${ctx} can't be told apart from another plugin with the same name and input, so the cache misses of both may be explained wrongly. Give them different annotations.`);
+    }
+    LOOKUP_WRITERS.set(key, this);
+    let lookups: Record<string, Lookup> = {};
+    for (let [relativePath, lookup] of this._lookups) {
+      lookups[relativePath] = lookup;
+    }
+    this._lookupCache!.set(key, JSON.stringify(lookups));
+  }
+
+  /**
+   * A removed file no longer uses its entry, which can then be swept.
+   */
+  removeFile(relativePath: string) {
+    this._liveKeys.delete(relativePath);
+  }
+
+  /**
+   * Removes the entries of the store that are not used by any file of the
+   * tree. Entries that the files of other filters of this process that share
+   * the store use are kept.
+   *
+   * This does nothing until a build has succeeded, since only then every
+   * file of the tree has been seen, or if the store does not support it.
+   *
+   * @returns {number} the number of removed entries.
+   */
+  async sweepCache(): Promise<number> {
+    let cache = this._cache!;
+    if (!this._hasMarkedAll || !cache.sweep) {
+      return 0;
+    }
+    let liveKeys = new Set<string>();
+    for (let user of STORE_USERS.get(this._storeId)!) {
+      for (let key of user._liveKeys.values()) {
+        liveKeys.add(key);
+      }
     }
-    return result.output;
+    return await cache.sweep(liveKeys);
   }
 
   /**
    * By default initial dependencies are empty.
    * @returns {Dependencies}
    */
-  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string): Dependencies {
+  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string, trackingOptions?: Dependencies.TrackingOptions): Dependencies {
     let result = this._syncCache!.get<string>('__dependencies__');
     let dependencies;
     if (result.isCached) {
       let data = JSON.parse(result.value);
-      dependencies = Dependencies.deserialize(data, rootFS, inputEncoding);
+      dependencies = Dependencies.deserialize(data, rootFS, inputEncoding, trackingOptions);
     } else {
       // Dependencies start out empty; they are sealed as if they came from
       // the previous build iteration.
-      dependencies = new Dependencies(rootFS, inputEncoding);
+      dependencies = new Dependencies(rootFS, inputEncoding, trackingOptions);
       dependencies.seal().captureDependencyState();
     }
    return dependencies;
@@ -1,24 +1,127 @@
 import Dependencies = require('../dependencies');
+import { SourceMap } from '../source-maps';
+import Trace = require('../trace');
+import debugGenerator = require('heimdalljs-logger');
 
 // TODO: ProcessStringResult and Context should be template types so that the
 // consumer can strongly type their data.
-export type ProcessStringResult<Data = {}> = Record<'output', string> & Data;
+export type ProcessStringResult<Data = {}> = Record<'output', string> & OutputFiles & SourceMapOutput & DiagnosticsOutput & Data;
+
+/**
+ * The result of `processBuffer`, used when `inputEncoding` is `null`.
+ */
+export type ProcessBufferResult<Data = {}> = Record<'output', Buffer> & OutputFiles & DiagnosticsOutput & Data;
+
+/**
+ * Additional files produced alongside the primary output, keyed by their path
+ * relative to the root of the output tree.
+ */
+export interface OutputFiles {
+  outputFiles?: Record<string, string | Buffer>;
+}
+
+/**
+ * The source map of the output, written next to it when the `sourceMaps`
+ * option is enabled.
+ */
+export interface SourceMapOutput {
+  map?: SourceMap | string;
+}
+
+/**
+ * A problem found while processing a file, e.g. a lint warning.
+ */
+export interface Diagnostic {
+  message: string;
+  severity: 'error' | 'warning' | 'info';
+  /**
+   * The path of the file the diagnostic is about, relative to the root of the
+   * input tree. Defaults to the processed file.
+   */
+  file?: string;
+  line?: number;
+  column?: number;
+}
+
+/**
+ * Diagnostics are stored in the persistent cache along with the output, so
+ * that they are reported again on cache hits.
+ */
+export interface DiagnosticsOutput {
+  diagnostics?: Array<Diagnostic>;
+}
+
+/**
+ * The value `processString`, `processBuffer` and `postProcess` return when a
+ * file should not produce any output. Unlike a symbol, it survives the trip
+ * through the persistent cache and through worker threads.
+ */
+export type NoOutput = null;
 
 export interface Context {
-  processString(contents: string, relativePath: string): string | ProcessStringResult | Promise<string | ProcessStringResult>;
-  postProcess(v: ProcessStringResult, relativePath: string): ProcessStringResult | Promise<ProcessStringResult>;
+  processString(contents: string, relativePath: string, inputSourceMap?: SourceMap): string | ProcessStringResult | NoOutput | Promise<string | ProcessStringResult | NoOutput>;
+  processBuffer(contents: Buffer, relativePath: string): Buffer | ProcessBufferResult | NoOutput | Promise<Buffer | ProcessBufferResult | NoOutput>;
+  postProcess(v: ProcessStringResult | ProcessBufferResult, relativePath: string): ProcessStringResult | ProcessBufferResult | NoOutput | Promise<ProcessStringResult | ProcessBufferResult | NoOutput>;
   cacheKey?(): string;
   cacheKeyProcessString?(contents: string, relativePath: string): string;
+  cacheKeyProcessBuffer?(contents: Buffer, relativePath: string): string;
+  /**
+   * Tells the plugin apart from the others of the build, in a way that is the
+   * same in every process.
+   */
+  _stableId?(): string;
+  /**
+   * Whether to find out why the persistent cache misses, see `CacheMiss`.
+   */
+  explain?: boolean;
+  _logger?: debugGenerator.Logger;
+}
+
+/**
+ * Why the persistent cache had no entry for a file, compared to the last time
+ * the file was looked up, in this process or, when `explain` was set then, in
+ * a previous one:
+ *
+ * - `bucket-changed`: the `cacheKey()` of the plugin changed, so the cache
+ *   starts out empty.
+ * - `content-changed`: the file changed.
+ * - `cache-key-changed`: the file did not change, but its
+ *   `cacheKeyProcessString` (or `cacheKeyProcessBuffer`) did.
+ * - `cache-evicted`: the key did not change, but its entry is gone, e.g. it
+ *   was evicted, swept or cleared.
+ */
+export interface CacheMiss {
+  reason: 'bucket-changed' | 'content-changed' | 'cache-key-changed' | 'cache-evicted';
+  previousKey?: string;
+  key?: string;
 }
 
 export interface InstrumentationSchema {
   persistentCacheHit: number;
   persistentCachePrime: number;
+  persistentCacheMemoryHit: number;
+  persistentCacheMemoryMiss: number;
+  persistentCacheEvicted: number;
+  persistentCacheSwept: number;
+  /**
+   * Where the work done for a single file is recorded when the build is
+   * traced.
+   */
+  trace?: Trace.Lane;
+  /**
+   * Why the persistent cache missed for a single file, when the context
+   * `explain`s and the reason is known.
+   */
+  cacheMiss?: CacheMiss;
 }
 
 export interface Strategy {
   init(ctx: Context): void;
-  processString(ctx: Context, contents: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema):  string | ProcessStringResult | Promise<string | ProcessStringResult>;
-  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string): Dependencies
+  processString(ctx: Context, contents: string, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema, inputSourceMap?: SourceMap): ProcessStringResult | NoOutput | Promise<ProcessStringResult | NoOutput>;
+  processBuffer(ctx: Context, contents: Buffer, relativePath: string, forceInvalidation: boolean, instrumentation: InstrumentationSchema): ProcessBufferResult | NoOutput | Promise<ProcessBufferResult | NoOutput>;
+  initialDependencies(rootFS: Dependencies.FSFacade, inputEncoding: string, trackingOptions?: Dependencies.TrackingOptions): Dependencies
   sealDependencies(dependencies: Dependencies): void;
+  afterBuild(ctx: Context, instrumentation: InstrumentationSchema): void | Promise<void>;
+  removeFile(relativePath: string): void;
+  sweepCache(): number | Promise<number>;
 }
@@ -0,0 +1,153 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+namespace Trace {
+  /**
+   * An event of the Trace Event Format, see
+   * https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+   */
+  export interface Event {
+    name: string;
+    cat?: string;
+    /**
+     * `X` for a complete event, which spans from `ts` to `ts + dur`, or `M` for
+     * the metadata that names the process and its threads.
+     */
+    ph: 'X' | 'M';
+    /**
+     * Microseconds since the trace started.
+     */
+    ts: number;
+    dur?: number;
+    pid: number;
+    /**
+     * The concurrency slot that did the work.
+     */
+    tid: number;
+    args?: object;
+  }
+
+  /**
+   * Records the spans of the work done in a single concurrency slot.
+   */
+  export interface Lane {
+    span<T>(name: string, cat: string, run: () => T | Promise<T>, args?: object): Promise<T>;
+  }
+}
+
+/**
+ * Collects what a single build spent its time on, for the `trace` option, in
+ * the Trace Event Format that the Chrome and Perfetto trace viewers load.
+ *
+ * Each span is attributed to a concurrency slot, which the viewers show as a
+ * thread: slot 0 does the serial work of the build, and each file is handled
+ * in the lowest slot that is free when it starts. Without `async`, files are
+ * handled one at a time in slot 1; with it, up to `concurrency` slots are busy
+ * when the queue is saturated.
+ */
+class Trace {
+  plugin: string;
+  events: Array<Trace.Event>;
+  _start: [number, number];
+  _busySlots: Set<number>;
+  _slotCount: number;
+  /**
+   * The slot of each file that is being handled, keyed by relative path.
+   */
+  _fileSlots: Map<string, number>;
+
+  constructor(plugin: string) {
+    this.plugin = plugin;
+    this.events = [];
+    this._start = process.hrtime();
+    this._busySlots = new Set();
+    this._slotCount = 1;
+    this._fileSlots = new Map();
+  }
+
+  /**
+   * Microseconds since the trace started.
+   */
+  now(): number {
+    let [seconds, nanoseconds] = process.hrtime(this._start);
+    return seconds * 1e6 + nanoseconds / 1e3;
+  }
+
+  /**
+   * Takes the lowest slot, from 1, that is not busy, to handle the file at
+   * `relativePath` in.
+   */
+  acquireSlot(relativePath: string): number {
+    let slot = 1;
+    while (this._busySlots.has(slot)) {
+      slot++;
+    }
+    this._busySlots.add(slot);
+    this._fileSlots.set(relativePath, slot);
+    this._slotCount = Math.max(this._slotCount, slot + 1);
+    return slot;
+  }
+
+  releaseSlot(relativePath: string) {
+    let slot = this._fileSlots.get(relativePath);
+    if (slot !== undefined) {
+      this._busySlots.delete(slot);
+      this._fileSlots.delete(relativePath);
+    }
+  }
+
+  /**
+   * Records a span of `slot` that started at `start`, as returned by `now()`,
+   * and ends now.
+   */
+  complete(name: string, cat: string, slot: number, start: number, args?: object) {
+    let event: Trace.Event = { name, cat, ph: 'X', ts: start, dur: this.now() - start, pid: process.pid, tid: slot };
+    if (args) {
+      event.args = args;
+    }
+    this.events.push(event);
+  }
+
+  /**
+   * Runs `run`, and records it as a span of `slot` whether it succeeds or
+   * not.
+   */
+  async span<T>(name: string, cat: string, slot: number, run: () => T | Promise<T>, args?: object): Promise<T> {
+    let start = this.now();
+    try {
+      return await run();
+    } finally {
+      this.complete(name, cat, slot, start, args);
+    }
+  }
+
+  /**
+   * The lane of the slot the file at `relativePath` is handled in.
+   */
+  laneOf(relativePath: string): Trace.Lane {
+    let slot = this._fileSlots.get(relativePath) || 0;
+    return {
+      span: (name, cat, run, args) => this.span(name, cat, slot, run, args),
+    };
+  }
+
+  toJSON(): { traceEvents: Array<Trace.Event>, displayTimeUnit: 'ms' } {
+    let metadata: Array<Trace.Event> = [
+      { name: 'process_name', ph: 'M', ts: 0, pid: process.pid, tid: 0, args: { name: this.plugin } },
+    ];
+    for (let slot = 0; slot < this._slotCount; slot++) {
+      metadata.push({ name: 'thread_name', ph: 'M', ts: 0, pid: process.pid, tid: slot, args: { name: slot === 0 ? 'build' : `slot ${slot}` } });
+    }
+    return {
+      traceEvents: metadata.concat(this.events),
+      displayTimeUnit: 'ms',
+    };
+  }
+
+  write(filePath: string) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(this.toJSON()));
+  }
+}
+
+export = Trace;
@@ -0,0 +1,22 @@
+import minimatch = require('minimatch');
+
+/**
+ * The directory that contains every path `matcher` matches: the leading
+ * segments of its glob up to the first one that is not a literal, e.g. `a/b` for
+ * `a/b/*.js` or `a/{b,c}/d.js`. The last segment is never included, since it
+ * names the files themselves.
+ */
+export default function globBase(matcher: minimatch.IMinimatch): string {
+  let base: Array<string> | null = null;
+  for (let set of matcher.set) {
+    let literal = new Array<string>();
+    for (let segment of set.slice(0, -1)) {
+      if (typeof segment !== 'string' || base && base[literal.length] !== segment) {
+        break;
+      }
+      literal.push(segment);
+    }
+    base = literal;
+  }
+  return (base || []).join('/');
+}
@@ -0,0 +1,68 @@
+interface LRUEntry<V> {
+  value: V;
+  size: number;
+}
+
+/**
+ * A least recently used cache, bounded by the total size of its entries.
+ */
+export default class LRU<V> {
+  maxSize: number;
+  size: number;
+  _entries: Map<string, LRUEntry<V>>;
+
+  constructor(maxSize: number) {
+    this.maxSize = maxSize;
+    this.size = 0;
+    // a `Map` iterates in insertion order, so the first entry is always the
+    // least recently used one.
+    this._entries = new Map();
+  }
+
+  get(key: string): V | undefined {
+    let entry = this._entries.get(key);
+    if (entry === undefined) {
+      return undefined;
+    }
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Stores `value`, unless it is larger than the whole cache, and then drops
+   * the least recently used entries until the cache fits in `maxSize`.
+   */
+  set(key: string, value: V, size: number) {
+    this.delete(key);
+    if (size > this.maxSize) {
+      return;
+    }
+    this._entries.set(key, { value, size });
+    this.size += size;
+    this.prune();
+  }
+
+  delete(key: string) {
+    let entry = this._entries.get(key);
+    if (entry !== undefined) {
+      this._entries.delete(key);
+      this.size -= entry.size;
+    }
+  }
+
+  clear() {
+    this._entries.clear();
+    this.size = 0;
+  }
+
+  prune() {
+    for (let [key, entry] of this._entries) {
+      if (this.size <= this.maxSize) {
+        break;
+      }
+      this._entries.delete(key);
+      this.size -= entry.size;
+    }
+  }
+}
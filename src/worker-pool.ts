@@ -0,0 +1,204 @@
+import type { Worker } from 'worker_threads';
+import * as path from 'path';
+
+namespace WorkerPool {
+  export type Method = 'processString' | 'processBuffer';
+
+  export interface Options {
+    /**
+     * The number of worker threads to start at most.
+     */
+    size: number;
+    /**
+     * Serializable options that are made available to the worker module as
+     * `require('worker_threads').workerData.options`.
+     */
+    options?: unknown;
+  }
+}
+
+interface Job {
+  id: number;
+  method: WorkerPool.Method;
+  args: Array<unknown>;
+  resolve(result: unknown): void;
+  reject(error: Error): void;
+}
+
+interface SerializedError {
+  message: string;
+  stack?: string;
+  properties: Record<string, unknown>;
+}
+
+type WorkerResponse = { id: number, result: unknown } | { id: number, error: SerializedError };
+
+function loadWorkerThreads(): typeof import('worker_threads') {
+  try {
+    return require('worker_threads');
+  } catch (e) {
+    throw new Error('[BroccoliPersistentFilter] The `worker` option requires a version of node with support for `worker_threads`.');
+  }
+}
+
+function deserializeError(data: SerializedError): Error {
+  let error = new Error(data.message);
+  if (data.stack) {
+    error.stack = data.stack;
+  }
+  return Object.assign(error, data.properties);
+}
+
+/**
+ * Buffers sent from a worker arrive as plain `Uint8Array`s.
+ */
+function toBuffer(value: unknown): unknown {
+  if (value instanceof Uint8Array && !Buffer.isBuffer(value)) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  return value;
+}
+
+function normalizeResult(result: unknown): unknown {
+  if (result === null || typeof result !== 'object' || result instanceof Uint8Array) {
+    return toBuffer(result);
+  }
+  let normalized: Record<string, unknown> = Object.assign({}, result);
+  normalized.output = toBuffer(normalized.output);
+  let outputFiles = normalized.outputFiles as Record<string, unknown> | undefined;
+  if (outputFiles) {
+    normalized.outputFiles = {};
+    for (let file of Object.keys(outputFiles)) {
+      (normalized.outputFiles as Record<string, unknown>)[file] = toBuffer(outputFiles[file]);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * A pool of `worker_threads` that run the `processString` and
+ * `processBuffer` functions exported by a module.
+ *
+ * Workers are started as jobs are queued, up to `size` of them. Idle workers
+ * do not keep the process alive.
+ */
+class WorkerPool {
+  modulePath: string;
+  size: number;
+  options: unknown;
+  private workers: Array<Worker>;
+  private idle: Array<Worker>;
+  private queue: Array<Job>;
+  private running: Map<Worker, Job>;
+  private nextId: number;
+
+  constructor(modulePath: string, options: WorkerPool.Options) {
+    this.modulePath = modulePath;
+    this.size = Math.max(options.size, 1);
+    this.options = options.options;
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.running = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Runs `method` of the worker module with `args` on the next available
+   * worker.
+   */
+  run(method: WorkerPool.Method, args: Array<unknown>): Promise<unknown> {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, method, args, resolve, reject });
+      this._drain();
+    });
+  }
+
+  /**
+   * Stops all workers. Queued and running jobs are rejected.
+   */
+  terminate() {
+    let error = new Error('[BroccoliPersistentFilter] The worker pool was terminated.');
+    for (let job of this.queue) {
+      job.reject(error);
+    }
+    for (let job of this.running.values()) {
+      job.reject(error);
+    }
+    for (let worker of this.workers) {
+      worker.removeAllListeners();
+      worker.terminate();
+    }
+    this.queue = [];
+    this.running.clear();
+    this.workers = [];
+    this.idle = [];
+  }
+
+  get workerCount() {
+    return this.workers.length;
+  }
+
+  _drain() {
+    while (this.queue.length > 0) {
+      let worker = this.idle.pop();
+      if (!worker) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        worker = this._spawn();
+      }
+      let job = this.queue.shift()!;
+      this.running.set(worker, job);
+      worker.ref();
+      worker.postMessage({ id: job.id, method: job.method, args: job.args });
+    }
+  }
+
+  _spawn(): Worker {
+    let { Worker } = loadWorkerThreads();
+    let worker = new Worker(path.join(__dirname, 'worker.js'), {
+      workerData: {
+        modulePath: this.modulePath,
+        options: this.options
+      }
+    });
+
+    worker.on('message', (response: WorkerResponse) => {
+      let job = this.running.get(worker);
+      if (!job || job.id !== response.id) {
+        return;
+      }
+      this.running.delete(worker);
+      worker.unref();
+      this.idle.push(worker);
+      if ('error' in response) {
+        job.reject(deserializeError(response.error));
+      } else {
+        job.resolve(normalizeResult(response.result));
+      }
+      this._drain();
+    });
+
+    worker.on('error', (error: Error) => this._remove(worker, error));
+    worker.on('exit', (code: number) => {
+      this._remove(worker, new Error(`[BroccoliPersistentFilter] A worker exited unexpectedly with code ${code}.`));
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  _remove(worker: Worker, error: Error) {
+    let job = this.running.get(worker);
+    this.running.delete(worker);
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+    if (job) {
+      job.reject(error);
+    }
+    this._drain();
+  }
+}
+
+export = WorkerPool;
@@ -0,0 +1,52 @@
+// The entry point of the threads started by `WorkerPool`. It loads the
+// worker module and runs its exported functions for each job it receives.
+import { parentPort, workerData } from 'worker_threads';
+
+interface Job {
+  id: number;
+  method: 'processString' | 'processBuffer';
+  args: Array<unknown>;
+}
+
+type WorkerFunction = (...args: Array<unknown>) => unknown;
+
+const workerModule = require(workerData.modulePath);
+
+function getFunction(method: Job['method']): WorkerFunction {
+  let fn = typeof workerModule === 'function' ? workerModule : workerModule[method];
+  if (fn === undefined && method === 'processBuffer') {
+    // like `Filter.prototype.processBuffer`, fall back to `processString`.
+    fn = workerModule.processString;
+  }
+  if (typeof fn !== 'function') {
+    throw new Error(`[BroccoliPersistentFilter] The worker module "${workerData.modulePath}" must export a \`${method}\` function.`);
+  }
+  return fn;
+}
+
+function serializeError(error: unknown) {
+  if (error === null || typeof error !== 'object') {
+    return { message: '' + error, properties: {} };
+  }
+  let { message, stack } = error as Error;
+  let properties: Record<string, unknown> = {};
+  for (let key of Object.keys(error as object)) {
+    let value = (error as Record<string, unknown>)[key];
+    // only keep the properties that can be sent back to the main thread,
+    // e.g. the line and column of a syntax error.
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      properties[key] = value;
+    }
+  }
+  return { message, stack, properties };
+}
+
+parentPort!.on('message', async (job: Job) => {
+  try {
+    let args = job.args.map(arg => arg instanceof Uint8Array ? Buffer.from(arg.buffer, arg.byteOffset, arg.byteLength) : arg);
+    let result = await getFunction(job.method)(...args);
+    parentPort!.postMessage({ id: job.id, result });
+  } catch (error) {
+    parentPort!.postMessage({ id: job.id, error: serializeError(error) });
+  }
+});
@@ -304,4 +304,557 @@ describe('Dependency Invalidation', function() {
     let invalidated = restoredDependencies.getInvalidatedFiles();
     assert.deepEqual(invalidated, []);
   });
+
+  it('resolves directory and glob dependencies', function () {
+    let dependencies = new Dependencies(mergedFS);
+    dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), [
+      '../subdir2/',
+      { glob: './*.txt' },
+      EXT_DEP_FIXTURE_DIR + path.sep,
+      './[id].txt',
+    ]);
+    assert.deepEqual(dependencies.dependencyMap.get(pathFor('subdir/subdirFile1.txt')).map(depWithTag => depWithTag.slice(1)), [
+      ['subdir2/', true],
+      ['subdir/*.txt', true],
+      [EXT_DEP_FIXTURE_DIR + '/', true],
+      ['subdir/[id].txt'],
+    ]);
+  });
+
+  it('tracks the files matching glob and directory dependencies', function () {
+    let dependencies = new Dependencies(mergedFS);
+    dependencies.setDependencies(pathFor('file1.txt'), [
+      { glob: pathFor('subdir/*.txt') },
+      { glob: pathFor(EXT_DEP_FIXTURE_DIR, '*.txt') },
+    ]);
+    dependencies.seal();
+    dependencies.captureDependencyState();
+
+    let localPaths = dependencies.fsTrees.get(Dependencies.__LOCAL_ROOT).entries.filter(e => !e.isDirectory()).map(e => e.relativePath);
+    assert.deepEqual(localPaths, ['subdir/subdirFile1.txt', 'subdir/subdirFile2.txt']);
+    let externalPaths = dependencies.fsTrees.get(FS_ROOT).entries.filter(e => !e.isDirectory()).map(e => path.resolve(FS_ROOT, e.relativePath));
+    assert.deepEqual(externalPaths, [
+      pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt'),
+      pathFor(EXT_DEP_FIXTURE_DIR, 'dep-2.txt'),
+    ]);
+  });
+
+  it('invalidates dependents when the files matching a pattern change', function () {
+    let localFile = pathFor(DEP_FIXTURE_DIR, 'subdir2/nested/tmpFile.txt');
+    let externalFile = pathFor(EXT_DEP_FIXTURE_DIR, 'tmp-dep.txt');
+    try {
+      let dependencies = new Dependencies(mergedFS);
+      dependencies.setDependencies(pathFor('file1.txt'), [
+        pathFor('subdir2/'),
+      ]);
+      dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), [
+        { glob: pathFor(EXT_DEP_FIXTURE_DIR, '*.txt') },
+      ]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+
+      // a new file in a directory dependency, even a nested one.
+      fs.mkdirSync(path.dirname(localFile));
+      touch(localFile, 'transient\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+
+      // a change to a matching file.
+      touch(localFile, 'added stuff\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+
+      // a removed matching file.
+      fs.unlinkSync(localFile);
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+
+      // a new file matching an external pattern.
+      touch(externalFile, 'transient\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('subdir/subdirFile1.txt')]);
+
+      // files that don't match don't invalidate anything.
+      fs.writeFileSync(pathFor(DEP_FIXTURE_DIR, 'subdir/tmpFile.md'), 'unrelated\n');
+      fs.unlinkSync(pathFor(DEP_FIXTURE_DIR, 'subdir/tmpFile.md'));
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+    } finally {
+      if (fs.existsSync(localFile)) fs.unlinkSync(localFile);
+      if (fs.existsSync(path.dirname(localFile))) fs.rmdirSync(path.dirname(localFile));
+      if (fs.existsSync(externalFile)) fs.unlinkSync(externalFile);
+    }
+  });
+
+  it('treats paths with glob characters as the names of files', function () {
+    let localFile = pathFor(DEP_FIXTURE_DIR, 'subdir/[id].txt');
+    let externalFile = pathFor(EXT_DEP_FIXTURE_DIR, '{a}.txt');
+    try {
+      touch(localFile, 'id\n');
+      touch(externalFile, 'a\n');
+      let dependencies = new Dependencies(mergedFS);
+      dependencies.setDependencies(pathFor('file1.txt'), ['subdir/[id].txt']);
+      dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), [externalFile]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      assert.deepEqual(dependencies.externalDependencies(), [externalFile]);
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+
+      touch(localFile, 'changed\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+
+      fs.unlinkSync(externalFile);
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('subdir/subdirFile1.txt')]);
+    } finally {
+      if (fs.existsSync(localFile)) fs.unlinkSync(localFile);
+      if (fs.existsSync(externalFile)) fs.unlinkSync(externalFile);
+    }
+  });
+
+  it('invalidates dependents when a missing dependency appears', function () {
+    let localFile = pathFor(DEP_FIXTURE_DIR, 'subdir/missing.txt');
+    let externalFile = pathFor(EXT_DEP_FIXTURE_DIR, 'missing.txt');
+    try {
+      let dependencies = new Dependencies(mergedFS);
+      dependencies.setDependencies(pathFor('file1.txt'), [
+        pathFor('subdir/subdirFile1.txt'),
+      ], [
+        pathFor('subdir/missing.txt'),
+      ]);
+      dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), [], [
+        externalFile,
+      ]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+
+      touch(localFile, 'now it exists\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+      fs.unlinkSync(localFile);
+
+      touch(externalFile, 'now it exists\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('subdir/subdirFile1.txt')]);
+    } finally {
+      if (fs.existsSync(localFile)) fs.unlinkSync(localFile);
+      if (fs.existsSync(externalFile)) fs.unlinkSync(externalFile);
+    }
+  });
+
+  it('only invalidates dependents when a missing dependency is created', function () {
+    let transientFile = pathFor(DEP_FIXTURE_DIR, 'subdir/missing.txt');
+    try {
+      touch(transientFile, 'exists\n');
+      let dependencies = new Dependencies(mergedFS);
+      dependencies.setDependencies(pathFor('file1.txt'), [], [
+        pathFor('subdir/missing.txt'),
+      ]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+
+      fs.unlinkSync(transientFile);
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+
+      touch(transientFile, 'exists again\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+    } finally {
+      if (fs.existsSync(transientFile)) fs.unlinkSync(transientFile);
+    }
+  });
+
+  it('keeps missing dependencies until they are set again', function () {
+    let dependencies = new Dependencies(mergedFS);
+    dependencies.setDependencies(pathFor('file1.txt'), [], [pathFor('subdir/subdirFile2.txt')]);
+    dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), [], [pathFor('subdir/subdirFile2.txt')]);
+
+    let copy = dependencies.copyWithout([pathFor('subdir/subdirFile1.txt')]);
+    assert.deepEqual(Array.from(copy.missingDependencyMap.keys()), [pathFor('file1.txt')]);
+
+    copy.setDependencies(pathFor('file1.txt'), []);
+    copy.seal();
+    copy.captureDependencyState();
+    assert.deepEqual(copy.getInvalidatedFiles(), []);
+  });
+
+  it('can serialize and deserialize missing dependencies', function () {
+    let transientFile = pathFor(DEP_FIXTURE_DIR, 'subdir/missing.txt');
+    try {
+      let dependencies = new Dependencies(mergedFS);
+      dependencies.setDependencies(pathFor('file1.txt'), [], [
+        pathFor('subdir/missing.txt'),
+        pathFor(EXT_DEP_FIXTURE_DIR, 'missing.txt'),
+      ]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      let data = JSON.parse(JSON.stringify(dependencies.serialize()));
+      assert.deepEqual(data.missingDependencies, {
+        'file1.txt': [
+          pathFor('subdir/missing.txt'),
+          pathFor(EXT_DEP_FIXTURE_DIR, 'missing.txt'),
+        ]
+      });
+
+      assert.deepEqual(data.existingMissingDependencies, []);
+
+      let restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8');
+      assert.deepEqual(restoredDependencies.getInvalidatedFiles(), []);
+
+      touch(transientFile, 'now it exists\n');
+      assert.deepEqual(restoredDependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+    } finally {
+      if (fs.existsSync(transientFile)) fs.unlinkSync(transientFile);
+    }
+  });
+
+  it('serializes which missing dependencies existed', function () {
+    let dependencies = new Dependencies(mergedFS);
+    dependencies.setDependencies(pathFor('file1.txt'), [], [
+      pathFor('subdir/subdirFile2.txt'),
+    ]);
+    dependencies.seal();
+    dependencies.captureDependencyState();
+    let data = JSON.parse(JSON.stringify(dependencies.serialize()));
+    assert.deepEqual(data.existingMissingDependencies, [pathFor('subdir/subdirFile2.txt')]);
+
+    let restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8');
+    assert.deepEqual(restoredDependencies.getInvalidatedFiles(), []);
+  });
+
+  it('can serialize and deserialize pattern dependencies', function () {
+    let transientFile = pathFor(DEP_FIXTURE_DIR, 'subdir/tmpFile1.txt');
+    try {
+      let dependencies = new Dependencies(mergedFS);
+      dependencies.setDependencies(pathFor('file1.txt'), [
+        { glob: pathFor('subdir/*.txt') },
+        pathFor('subdir2/'),
+      ]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      let data = JSON.parse(JSON.stringify(dependencies.serialize()));
+      assert.deepEqual(data.dependencies, { 'file1.txt': [{ glob: 'subdir/*.txt' }, 'subdir2/'] });
+
+      let restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8');
+      assert.deepEqual(restoredDependencies.getInvalidatedFiles(), []);
+
+      touch(transientFile, 'transient\n');
+      restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8');
+      assert.deepEqual(restoredDependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+    } finally {
+      if (fs.existsSync(transientFile)) fs.unlinkSync(transientFile);
+    }
+  });
+
+  it('lists the external dependencies', function () {
+    let dependencies = new Dependencies(mergedFS, 'utf8');
+    assert.throws(() => dependencies.externalDependencies(), /Cannot list external dependencies until after sealing them/);
+    dependencies.setDependencies(pathFor('file1.txt'), [
+      'subdir/subdirFile1.txt',
+      pathFor(EXT_DEP_FIXTURE_DIR, 'dep-2.txt'),
+      pathFor(EXT_DEP_FIXTURE_DIR, 'nested') + '/',
+      { glob: pathFor(EXT_DEP_FIXTURE_DIR, '*.md') },
+    ], [pathFor(EXT_DEP_FIXTURE_DIR, 'dep-3.txt')]);
+    dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), [pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt')]);
+    dependencies.seal();
+    assert.deepEqual(dependencies.externalDependencies(), [
+      { glob: pathFor(EXT_DEP_FIXTURE_DIR, '*.md') },
+      pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt'),
+      pathFor(EXT_DEP_FIXTURE_DIR, 'dep-2.txt'),
+      pathFor(EXT_DEP_FIXTURE_DIR, 'dep-3.txt'),
+      pathFor(EXT_DEP_FIXTURE_DIR, 'nested') + '/',
+    ]);
+  });
+
+  describe('graph', function () {
+    function trackGraph() {
+      let dependencies = new Dependencies(mergedFS, 'utf8');
+      dependencies.setDependencies(pathFor('file1.txt'), [
+        'subdir/subdirFile1.txt',
+        { glob: 'subdir2/*.txt' },
+        pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt'),
+      ], ['file1.ts']);
+      dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), ['subdirFile2.txt']);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      return dependencies;
+    }
+
+    it('requires sealed dependencies', function () {
+      let dependencies = new Dependencies(mergedFS, 'utf8');
+      assert.throws(() => dependencies.graph(), /Cannot describe the dependency graph until after sealing it/);
+    });
+
+    it('describes the edges in both directions', function () {
+      let graph = trackGraph().graph();
+      let externalDep = pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt');
+      assert.deepEqual(graph.dependencies, {
+        'file1.txt': ['subdir/subdirFile1.txt', 'subdir2/*.txt', externalDep],
+        [pathFor('subdir/subdirFile1.txt')]: [pathFor('subdir/subdirFile2.txt')],
+      });
+      assert.deepEqual(graph.missingDependencies, { 'file1.txt': ['file1.ts'] });
+      assert.deepEqual(graph.dependents, {
+        'subdir/subdirFile1.txt': ['file1.txt'],
+        'subdir2/*.txt': ['file1.txt'],
+        [externalDep]: ['file1.txt'],
+        'file1.ts': ['file1.txt'],
+        [pathFor('subdir/subdirFile2.txt')]: [pathFor('subdir/subdirFile1.txt')],
+      });
+    });
+
+    it('describes the roots and captured state of the dependencies', function () {
+      let graph = trackGraph().graph();
+      let externalDep = pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt');
+      let stats = fs.statSync(externalDep);
+
+      let localNode = graph.nodes['subdir/subdirFile1.txt'];
+      assert.deepEqual(localNode.root, { type: 'local' });
+      assert.strictEqual(localNode.type, 'file');
+      assert.strictEqual(localNode.state.type, 'hash');
+      assert.match(localNode.state.hash, /^[0-9a-f]{32}$/);
+
+      assert.deepEqual(graph.nodes[externalDep], {
+        root: { type: 'external', rootDir: FS_ROOT },
+        type: 'file',
+        state: {
+          type: 'stat',
+          relativePath: path.relative(FS_ROOT, externalDep),
+          size: stats.size,
+          mtime: stats.mtime.getTime(),
+          mode: stats.mode,
+        },
+      });
+
+      assert.deepEqual(graph.nodes['subdir2/*.txt'], {
+        root: { type: 'local' },
+        type: 'pattern',
+        matches: ['subdir2/subdir2File1.txt'],
+      });
+      assert.strictEqual(graph.nodes['subdir2/subdir2File1.txt'].state.type, 'hash');
+      assert.deepEqual(graph.nodes['file1.ts'], { root: { type: 'local' }, type: 'missing' });
+    });
+
+    it('renders the graph as DOT', function () {
+      let dependencies = trackGraph();
+      let dot = Dependencies.graphToDot(dependencies.graph());
+      let externalDep = pathFor(EXT_DEP_FIXTURE_DIR, 'dep-1.txt');
+      assert.match(dot, /^digraph dependencies {\n/);
+      assert.match(dot, /\n}\n$/);
+      assert.include(dot, '  "file1.txt";\n');
+      assert.include(dot, '  "file1.txt" -> "subdir/subdirFile1.txt";\n');
+      assert.include(dot, `  "file1.txt" -> ${JSON.stringify(externalDep)};\n`);
+      assert.include(dot, '  "file1.txt" -> "file1.ts" [style="dotted"];\n');
+      assert.include(dot, '  "subdir2/*.txt" -> "subdir2/subdir2File1.txt" [style="dashed", arrowhead="empty"];\n');
+      assert.include(dot, '  "file1.ts" [label="file1.ts\\nmust not exist", style="dotted"];\n');
+      let externalNode = dot.split('\n').find(line => line.startsWith(`  ${JSON.stringify(externalDep)} [`));
+      assert.match(externalNode, /\\nsize \d+, mtime [^"]+", style="dashed"\];$/);
+    });
+  });
+
+  describe('transitive invalidation', function () {
+    const transientFile = pathFor(DEP_FIXTURE_DIR, 'subdir/tmpFile1.txt');
+
+    /**
+     * file1.txt depends on subdir/subdirFile1.txt, which depends on
+     * subdir/tmpFile1.txt.
+     *
+     * @param transitive {boolean}
+     * @param [cyclic] {boolean} whether subdir/subdirFile1.txt depends on
+     *   file1.txt as well.
+     */
+    function trackChain(transitive, cyclic) {
+      let dependencies = new Dependencies(mergedFS, 'utf8', { transitive });
+      dependencies.setDependencies(pathFor('file1.txt'), ['subdir/subdirFile1.txt']);
+      dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), cyclic ? ['tmpFile1.txt', '../file1.txt'] : ['tmpFile1.txt']);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      return dependencies;
+    }
+
+    beforeEach(function () {
+      touch(transientFile, 'transient\n');
+    });
+
+    afterEach(function () {
+      if (fs.existsSync(transientFile)) fs.unlinkSync(transientFile);
+    });
+
+    it('only invalidates direct dependents by default', function () {
+      let dependencies = trackChain(false);
+      touch(transientFile, 'added stuff\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('subdir/subdirFile1.txt')]);
+    });
+
+    it('invalidates the dependents of invalidated files', function () {
+      let dependencies = trackChain(true);
+      touch(transientFile, 'added stuff\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles().sort(), [
+        pathFor('file1.txt'),
+        pathFor('subdir/subdirFile1.txt'),
+      ].sort());
+      assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+    });
+
+    it('invalidates the dependents of files matching pattern dependencies', function () {
+      let dependencies = new Dependencies(mergedFS, 'utf8', { transitive: true });
+      dependencies.setDependencies(pathFor('file1.txt'), [{ glob: 'subdir/*.txt' }]);
+      dependencies.setDependencies(pathFor('subdir/subdirFile1.txt'), ['../file2.txt']);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      let file2 = pathFor(DEP_FIXTURE_DIR, 'file2.txt');
+      try {
+        touch(file2, 'transient\n');
+        assert.deepEqual(dependencies.getInvalidatedFiles().sort(), [
+          pathFor('file1.txt'),
+          pathFor('subdir/subdirFile1.txt'),
+        ].sort());
+      } finally {
+        fs.unlinkSync(file2);
+      }
+    });
+
+    it('reports the dependency that changed for each invalidated file', function () {
+      let dependencies = trackChain(true);
+      touch(transientFile, 'added stuff\n');
+      let invalidations = dependencies.getInvalidations();
+      assert.deepEqual(Array.from(invalidations.keys()).sort(), [
+        pathFor('file1.txt'),
+        pathFor('subdir/subdirFile1.txt'),
+      ].sort());
+      assert.deepEqual(invalidations.get(pathFor('subdir/subdirFile1.txt')), [pathFor('subdir/tmpFile1.txt')]);
+      assert.deepEqual(invalidations.get(pathFor('file1.txt')), [pathFor('subdir/subdirFile1.txt')]);
+    });
+
+    it('stops at dependency cycles', function () {
+      let dependencies = trackChain(true, true);
+      touch(transientFile, 'added stuff\n');
+      assert.deepEqual(dependencies.getInvalidatedFiles().sort(), [
+        pathFor('file1.txt'),
+        pathFor('subdir/subdirFile1.txt'),
+      ].sort());
+    });
+
+    it('is kept by copies', function () {
+      let dependencies = trackChain(true).copyWithout([]);
+      assert.strictEqual(dependencies.transitive, true);
+    });
+  });
+
+  describe('external tracking', function () {
+    const transientFile = pathFor(EXT_DEP_FIXTURE_DIR, 'tmpDep.txt');
+
+    /**
+     * @param externalTracking {'stat' | 'hash' | 'hybrid'}
+     */
+    function trackTransientFile(externalTracking) {
+      let dependencies = new Dependencies(mergedFS, 'utf8', { externalTracking });
+      dependencies.setDependencies(pathFor('file1.txt'), [transientFile]);
+      dependencies.seal();
+      dependencies.captureDependencyState();
+      return dependencies;
+    }
+
+    /**
+     * Unlike `touch`, surely changes the modification time of a file that was
+     * just written.
+     */
+    function touchLater() {
+      let later = new Date(Date.now() + 10000);
+      fs.utimesSync(transientFile, later, later);
+    }
+
+    beforeEach(function () {
+      fs.writeFileSync(transientFile, 'transient\n');
+    });
+
+    afterEach(function () {
+      if (fs.existsSync(transientFile)) fs.unlinkSync(transientFile);
+    });
+
+    it('reports the absolute path of a changed external dependency', function () {
+      let dependencies = trackTransientFile('stat');
+      touchLater();
+      assert.deepEqual(Array.from(dependencies.getInvalidations()), [
+        [pathFor('file1.txt'), [transientFile]],
+      ]);
+    });
+
+    ['hash', 'hybrid'].forEach(externalTracking => {
+      describe(externalTracking, function () {
+        it('ignores touching an external file', function () {
+          let dependencies = trackTransientFile(externalTracking);
+          touchLater();
+          assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+        });
+
+        it('invalidates dependents when the content of an external file changes', function () {
+          let dependencies = trackTransientFile(externalTracking);
+          touch(transientFile, 'added stuff\n');
+          assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+          assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+        });
+
+        it('invalidates dependents when an external file is removed or created', function () {
+          let dependencies = trackTransientFile(externalTracking);
+          fs.unlinkSync(transientFile);
+          assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+          fs.writeFileSync(transientFile, 'transient\n');
+          assert.deepEqual(dependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+        });
+
+        it('keeps tracking by content when serialized', function () {
+          let dependencies = trackTransientFile(externalTracking);
+          let data = JSON.parse(JSON.stringify(dependencies.serialize()));
+          touchLater();
+          let restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8', { externalTracking });
+          assert.deepEqual(restoredDependencies.getInvalidatedFiles(), []);
+
+          touch(transientFile, 'added stuff\n');
+          restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8', { externalTracking });
+          assert.deepEqual(restoredDependencies.getInvalidatedFiles(), [pathFor('file1.txt')]);
+        });
+      });
+    });
+
+    describe('hybrid', function () {
+      let readFileSync = fs.readFileSync;
+      let reads;
+
+      beforeEach(function () {
+        reads = [];
+        fs.readFileSync = function (filePath) {
+          reads.push(filePath);
+          return readFileSync.apply(this, arguments);
+        };
+      });
+
+      afterEach(function () {
+        fs.readFileSync = readFileSync;
+      });
+
+      it('only hashes external files whose stat information changed', function () {
+        let dependencies = trackTransientFile('hybrid');
+        assert.deepEqual(reads, [transientFile]);
+
+        reads = [];
+        assert.deepEqual(dependencies.getInvalidatedFiles(), []);
+        assert.deepEqual(reads, []);
+
+        // copies made between builds share what was hashed.
+        let copy = dependencies.copyWithout([]);
+        copy.seal();
+        copy.captureDependencyState();
+        assert.deepEqual(reads, []);
+
+        touchLater();
+        assert.deepEqual(copy.getInvalidatedFiles(), []);
+        assert.deepEqual(reads, [transientFile]);
+      });
+
+      it('does not hash external files again after deserializing', function () {
+        let data = JSON.parse(JSON.stringify(trackTransientFile('hybrid').serialize()));
+        assert.deepEqual(data.fsTrees[0].entries.filter(entry => entry.type === 'stat+hash').length, 1);
+
+        reads = [];
+        let restoredDependencies = Dependencies.deserialize(data, mergedFS, 'utf8', { externalTracking: 'hybrid' });
+        assert.deepEqual(restoredDependencies.getInvalidatedFiles(), []);
+        assert.deepEqual(reads, []);
+      });
+    });
+  });
 });
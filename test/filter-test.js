@@ -28,6 +28,8 @@ const MyFilter = require('./helpers/simple');
 const Rot13Filter = require('./helpers/rot13');
 const Rot13AsyncFilter = require('./helpers/rot13-async');
 const Inliner = require('./helpers/inliner');
+const startKVServer = require('./helpers/kv-server');
+const usePersistentCacheRoot = require('./helpers/persistent-cache-root');
 
 function millisecondsSince(time) {
   var delta = process.hrtime(time);
@@ -505,6 +507,116 @@ describe('Filter', function() {
     });
   });
 
+  describe('include and exclude', function() {
+    let input, output;
+
+    class Upcaser extends Filter {
+      processString(contents) {
+        return contents.toUpperCase();
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'app': {
+          'index.js': 'index',
+          'templates': {
+            'a.hbs': 'a',
+            '.hidden.hbs': 'hidden'
+          }
+        },
+        'vendor': {
+          'lib.js': 'lib',
+          '.eslintrc.js': 'eslintrc'
+        }
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('only processes the files matching `include`', async function() {
+      let subject = new Upcaser(input.path(), { include: 'app/**/*.hbs' });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'app': {
+          'index.js': 'index',
+          'templates': { 'a.hbs': 'A', '.hidden.hbs': 'HIDDEN' }
+        },
+        'vendor': { 'lib.js': 'lib', '.eslintrc.js': 'eslintrc' }
+      });
+    });
+
+    it('does not process the files matching `exclude`', async function() {
+      let subject = new Upcaser(input.path(), { exclude: ['vendor/**', '**/*.hbs'] });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'app': {
+          'index.js': 'INDEX',
+          'templates': { 'a.hbs': 'a', '.hidden.hbs': 'hidden' }
+        },
+        'vendor': { 'lib.js': 'lib', '.eslintrc.js': 'eslintrc' }
+      });
+    });
+
+    it('combines with `extensions` and `targetExtension`', async function() {
+      let subject = new Upcaser(input.path(), {
+        include: ['app/**', 'vendor/**'],
+        exclude: 'app/templates/**',
+        extensions: ['js', 'hbs'],
+        targetExtension: 'out'
+      });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'app': {
+          'index.out': 'INDEX',
+          'templates': { 'a.hbs': 'a', '.hidden.hbs': 'hidden' }
+        },
+        'vendor': { 'lib.out': 'LIB', '.eslintrc.out': 'ESLINTRC' }
+      });
+      expect(subject.canProcessFile('app/templates/a.hbs')).to.equal(false);
+      expect(subject.getDestFilePath('app/templates/a.hbs')).to.equal(null);
+      expect(subject.canProcessFile('app/index.js')).to.equal(true);
+    });
+
+    it('caches the decision per file', async function() {
+      let subject = new Upcaser(input.path(), { exclude: 'vendor/**' });
+      let match = sinon.spy(subject._excludeMatchers[0], 'match');
+      output = createBuilder(subject);
+      await output.build();
+      match.resetHistory();
+
+      expect(subject.canProcessFile('vendor/lib.js')).to.equal(false);
+      expect(subject.canProcessFile('vendor/new.js')).to.equal(false);
+      expect(subject.canProcessFile('vendor/new.js')).to.equal(false);
+      expect(subject.canProcessFile('app/index.js')).to.equal(true);
+      expect(match.callCount).to.equal(1);
+    });
+
+    it('makes `include` and `exclude` part of the default cache key', function() {
+      let key = new Upcaser(input.path(), {}).cacheKey();
+
+      expect(new Upcaser(input.path(), { extensions: ['js'] }).cacheKey()).to.equal(key);
+      expect(new Upcaser(input.path(), { include: 'app/**' }).cacheKey()).not.to.equal(key);
+      expect(new Upcaser(input.path(), { exclude: 'app/**' }).cacheKey()).not.to.equal(key);
+      expect(new Upcaser(input.path(), { include: 'app/**' }).cacheKey())
+        .not.to.equal(new Upcaser(input.path(), { include: 'vendor/**' }).cacheKey());
+    });
+  });
+
   describe(`targetExtension`, function () {
     let input, subject, output;
 
@@ -588,8 +700,253 @@ describe('Filter', function() {
       expect(output.readText('a/foo.foo')).to.equal('Avprfg qbtf va arrq bs ubzrf');
     });
 
+    describe('mapping', function() {
+      let input;
+
+      beforeEach(async function() {
+        input = await createTempDir();
+        input.write({
+          'app.ts': 'app',
+          'view.tsx': 'view',
+          'server.mts': 'server',
+          'index.d.ts': 'types',
+          'button.module.css': 'button',
+          'reset.css': 'reset',
+          'README.md': 'readme',
+        });
+      });
+
+      afterEach(async function() {
+        await input.dispose();
+      });
+
+      it('maps each source extension to its own target extension', async function() {
+        let subject = new Rot13Filter(input.path(), {
+          targetExtension: { ts: 'js', tsx: 'js', '.mts': '.mjs' },
+        });
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(output.read()).to.deep.equal({
+          'app.js': 'ncc',
+          'view.js': 'ivrj',
+          'server.mjs': 'freire',
+          'index.d.js': 'glcrf',
+          'button.module.css': 'button',
+          'reset.css': 'reset',
+          'README.md': 'readme',
+        });
+      });
+
+      it('prefers the longest matching extension', async function() {
+        let subject = new Rot13Filter(input.path(), {
+          targetExtension: { ts: 'js', 'd.ts': 'd.ts', 'module.css': 'module.js', css: 'min.css' },
+        });
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(output.read()).to.deep.equal({
+          'app.js': 'ncc',
+          'view.tsx': 'view',
+          'server.mts': 'server',
+          'index.d.ts': 'glcrf',
+          'button.module.js': 'ohggba',
+          'reset.min.css': 'erfrg',
+          'README.md': 'readme',
+        });
+      });
+
+      it('keeps the name of matching files that have no mapping', async function() {
+        let subject = new Rot13Filter(input.path(), {
+          extensions: ['ts', 'md'],
+          targetExtension: { ts: 'js' },
+        });
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(output.readText('app.js')).to.equal('ncc');
+        expect(output.readText('README.md')).to.equal('ernqzr');
+        expect(output.readText('reset.css')).to.equal('reset');
+      });
+
+      it('supports multi-dot extensions with a string targetExtension', async function() {
+        let subject = new Rot13Filter(input.path(), {
+          extensions: ['ts', 'd.ts'],
+          targetExtension: 'js',
+        });
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(output.readText('index.js')).to.equal('glcrf');
+        expect(output.readText('app.js')).to.equal('ncc');
+        expect(output.readText('view.tsx')).to.equal('view');
+      });
+    });
+  });
+
+  describe('output collisions', function() {
+    let input, output;
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'passed through',
+        'a.ts': 'processed',
+        'b.ts': 'bee',
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
+      }
+    });
+
+    async function buildError() {
+      try {
+        await output.build();
+      } catch (error) {
+        return error.broccoliPayload.originalError;
+      }
+      throw new Error('expected the build to fail');
+    }
+
+    it('fails with outputCollisions: error when several files are written to the same output file', async function() {
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        outputCollisions: 'error',
+      }));
+
+      let error = await buildError();
+
+      expect(error).to.be.an.instanceof(Filter.OutputCollisionError);
+      expect(error.message).to.contain('a.js, a.ts are written to a.js');
+      expect(error.collisions).to.deep.equal([
+        { sources: ['a.js', 'a.ts'], outputPaths: ['a.js', 'a.js'] },
+      ]);
+    });
+
+    it('fails when output paths only differ in case', async function() {
+      input.write({ 'a.ts': null, 'B.js': 'bee' });
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        outputCollisions: 'error',
+      }));
+      let error = await buildError();
+
+      expect(error).to.be.an.instanceof(Filter.OutputCollisionError);
+      expect(error.message).to.contain('B.js, b.ts are written to B.js, b.js, which only differ in case');
+      expect(output.readDir()).to.deep.equal([]);
+    });
+
+    it('writes only the processed file by default', async function() {
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+      }));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.js': 'cebprffrq',
+        'b.js': 'orr',
+      });
+    });
+
+    it('passes through files that only collide with each other', async function() {
+      input.write({ 'README.md': 'upper', 'readme.md': 'lower' });
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        outputCollisions: 'error',
+      }));
+      input.write({ 'a.js': null });
+      await output.build();
+
+      expect(output.readText('README.md')).to.equal('upper');
+      expect(output.readText('readme.md')).to.equal('lower');
+    });
+
+    it('fails with outputCollisions: prefer-processed when several processed files collide', async function() {
+      input.write({ 'A.ts': 'upper' });
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        outputCollisions: 'prefer-processed',
+      }));
+      let error = await buildError();
+
+      expect(error.collisions).to.deep.equal([
+        { sources: ['A.ts', 'a.js', 'a.ts'], outputPaths: ['A.js', 'a.js', 'a.js'] },
+      ]);
+    });
+
+    it('lets subclasses resolve collisions', async function() {
+      class Resolver extends Rot13Filter {
+        resolveOutputCollision(collision) {
+          return collision.sources[0];
+        }
+      }
+      input.write({ 'B.js': 'upper bee' });
+      output = createBuilder(new Resolver(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+      }));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.js': 'passed through',
+        'B.js': 'upper bee',
+      });
+    });
+
+    it('detects collisions introduced by a rebuild, and recovers once they are resolved', async function() {
+      input.write({ 'a.ts': null });
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        outputCollisions: 'error',
+      }));
+      await output.build();
+      expect(output.readText('a.js')).to.equal('passed through');
+
+      input.write({ 'a.ts': 'processed' });
+      let error = await buildError();
+      expect(error).to.be.an.instanceof(Filter.OutputCollisionError);
+      expect(output.readText('a.js')).to.equal('passed through');
+
+      input.write({ 'a.js': null });
+      await output.build();
+      expect(output.read()).to.deep.equal({
+        'a.js': 'cebprffrq',
+        'b.js': 'orr',
+      });
+    });
+
+    it('switches the written file as colliding files come and go', async function() {
+      input.write({ 'a.ts': null });
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        outputCollisions: 'prefer-processed',
+      }));
+      await output.build();
+      expect(output.readText('a.js')).to.equal('passed through');
+
+      input.write({ 'a.ts': 'processed' });
+      await output.build();
+      expect(output.readText('a.js')).to.equal('cebprffrq');
+
+      input.write({ 'a.ts': null });
+      await output.build();
+      expect(output.readText('a.js')).to.equal('passed through');
+    });
   });
 
+
   it('handles directories that older versions of walkSync do not sort lexicographically', async function() {
     let input = await createTempDir();
     try {
@@ -874,8 +1231,7 @@ describe('Filter', function() {
   });
 
   describe('persistent cache (delete process.env.CI)', function() {
-    const hasCIValue = ('CI' in process.env);
-    const CI_VALUE = process.env.CI;
+    usePersistentCacheRoot();
     let input;
 
     class F extends Filter{
@@ -893,8 +1249,6 @@ describe('Filter', function() {
     };
 
     beforeEach(async function() {
-      delete process.env.CI;
-      this.originalCacheRoot = process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT;
       input = await createTempDir();
       input.write({
         a: {
@@ -908,17 +1262,6 @@ describe('Filter', function() {
     });
 
     afterEach(async function() {
-      if (hasCIValue) {
-        process.env.CI = CI_VALUE;
-      } else{
-        delete process.env.CI;
-      }
-
-      if (this.originalCacheRoot) {
-        process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT = this.originalCacheRoot;
-      } else {
-        delete process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT;
-      }
       await input.dispose();
     });
 
@@ -1112,234 +1455,2323 @@ describe('Filter', function() {
     });
   });
 
-  describe('persistent cache (process.env.CI=true)', function() {
-    const hasCIValue = ('CI' in process.env);
-    const CI_VALUE = process.env.CI;
-    let input;
+  describe('cacheStore', function() {
+    usePersistentCacheRoot('cache-store-tests');
+    let input, output, server;
 
-    class F extends Filter {
-      constructor(inputTree, options) {
-       super(inputTree, options);
-      }
-    }
+    before(async function() {
+      server = await startKVServer();
+    });
 
-    F.prototype.baseDir = function() {
-      return path.join(__dirname, '../');
-    };
+    after(function(done) {
+      server.close(done);
+    });
 
     beforeEach(async function() {
-      process.env.CI = true;
-      this.originalCacheRoot = process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT;
       input = await createTempDir();
       input.write({
-        a: {
-          'README.md': 'Nicest cats in need of homes',
-          bar: {
-            'bar.js': 'Dogs... who needs dogs?'
-          },
-          'foo.js': 'Nicest dogs in need of homes'
-        }
+        'a.js': 'a dog',
+        'b.js': 'b dog'
       });
     });
 
     afterEach(async function() {
-      if (hasCIValue) {
-        process.env.CI = CI_VALUE;
-      } else{
-        delete process.env.CI;
+      delete process.env.CLEAR_BROCCOLI_PERSISTENT_FILTER_CACHE;
+      server.entries.clear();
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
       }
+    });
+
+    function createSubject(options) {
+      return new ReplaceFilter(input.path(), Object.assign({
+        persist: true,
+        search: 'dog',
+        replace: 'cat'
+      }, options));
+    }
 
-      if (this.originalCacheRoot) {
-        process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT = this.originalCacheRoot;
-      } else {
-        delete process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT;
+    async function build(subject) {
+      if (output) {
+        await output.dispose();
       }
-      await input.dispose();
-    });
+      output = createBuilder(subject);
+      await output.build();
+      return output;
+    }
 
-    it('initializes cache', function() {
-      let f = new F(input.path(), {
-        persist: true
-      });
+    it('uses the given store', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      await build(createSubject({ cacheStore }));
+      expect(cacheStore.size).to.equal(2);
 
-      // TODO: we should just deal in observable differences, not reaching into private state
-      expect(f.processor.processor._cache).to.eql(undefined);
+      let subject = createSubject({ cacheStore });
+      sinon.spy(subject, 'processString');
+      await build(subject);
+
+      expect(subject.processString.callCount).to.equal(0);
+      expect(output.read()).to.deep.equal({ 'a.js': 'a cat', 'b.js': 'b cat' });
     });
 
-    it('calls postProcess for persistent cache hits (work is not needed)', async function() {
-      process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT = path.join(os.tmpdir(),
-        'process-cache-string-tests');
-      rimraf(process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT);
+    it('keeps the buckets apart in a store that is given', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      let first = createSubject({ cacheStore });
+      first.cacheKey = () => 'plugin-v1';
+      await build(first);
 
-      let subject = new ReplaceFilter(input.path(), {
-        persist: true,
-      });
-      subject.postProcess = function(result) {
-        expect(result.output).to.exist;
-        return result;
-      };
-      sinon.spy(subject, 'processString');
-      sinon.spy(subject, 'postProcess');
-      input.write({
-        a: {
-          'README.md': 'Nicest cats in need of homes',
-          bar: {
-            'bar.js': 'Dogs... who needs dogs?'
-          },
-          'foo.js': 'Nicest dogs in need of homes'
-        }
-      });
-      let output = createBuilder(subject);
-      await output.build();
-      // first time, build everything
-      expect(subject.processString.callCount).to.equal(3);
-      expect(subject.postProcess.callCount).to.equal(3);
-      subject = new ReplaceFilter(input.path(), {
-        persist: true,
-      });
-      subject.postProcess = function(result) {
-        expect(result.output).to.exist;
-        return result;
-      };
+      let subject = createSubject({ cacheStore, replace: 'cow' });
+      subject.cacheKey = () => 'plugin-v2';
       sinon.spy(subject, 'processString');
-      sinon.spy(subject, 'postProcess');
-      output = createBuilder(subject);
-      await output.build();
-      expect(subject.processString.callCount).to.equal(3);
-      await output.dispose();
-    });
-  });
+      await build(subject);
 
-  describe('processFile', function() {
-    let input, subject, output;
+      expect(subject.processString.callCount).to.equal(2);
+      expect(cacheStore.size).to.equal(4);
+      expect(output.read()).to.deep.equal({ 'a.js': 'a cow', 'b.js': 'b cow' });
+    });
 
-    beforeEach(async function() {
-      sinon.spy(fs, 'mkdirSync');
-      sinon.spy(fs, 'writeFileSync');
+    it('creates the store of the bucket with a factory', async function() {
+      let cacheKeys = [];
+      let cacheStore = cacheKey => {
+        cacheKeys.push(cacheKey);
+        return new Filter.HttpCacheStore({ url: `${server.url}/${cacheKey}` });
+      };
+      let first = createSubject({ cacheStore });
+      await build(first);
 
-      input = await createTempDir();
-      subject = new ReplaceFilter(input.path(), {
-        search: 'dogs',
-        replace: 'cats'
-      });
+      expect(cacheKeys).to.deep.equal([first.cacheKey()]);
+      expect(Array.from(server.entries.keys()).sort()).to.deep.equal([
+        `/${first.cacheKey()}/${first.cacheKeyProcessString('a dog', 'a.js')}`,
+        `/${first.cacheKey()}/${first.cacheKeyProcessString('b dog', 'b.js')}`
+      ].sort());
 
+      let subject = createSubject({ cacheStore });
       sinon.spy(subject, 'processString');
-      sinon.spy(subject, 'postProcess');
+      await build(subject);
 
+      expect(subject.processString.callCount).to.equal(0);
+      expect(output.read()).to.deep.equal({ 'a.js': 'a cat', 'b.js': 'b cat' });
+    });
+
+    it('clears the store with CLEAR_BROCCOLI_PERSISTENT_FILTER_CACHE', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      await build(createSubject({ cacheStore }));
+
+      process.env.CLEAR_BROCCOLI_PERSISTENT_FILTER_CACHE = 'true';
+      let subject = createSubject({ cacheStore });
+      sinon.spy(subject, 'processString');
+      await build(subject);
+
+      expect(subject.processString.callCount).to.equal(2);
+    });
+
+    it('fails the build when the store fails', async function() {
+      server.failWith = 500;
+      try {
+        let subject = createSubject({ cacheStore: new Filter.HttpCacheStore({ url: server.url }) });
+        output = createBuilder(subject);
+        await expect(output.build()).to.be.rejectedWith(/responded with status 500/);
+      } finally {
+        server.failWith = undefined;
+      }
+    });
+
+    it('does not evict or sweep stores that do not support it', async function() {
+      let entries = new Map();
+      let cacheStore = {
+        get: key => entries.get(key),
+        set: (key, value) => { entries.set(key, value); },
+        delete: key => { entries.delete(key); },
+        has: key => entries.has(key),
+        clear: () => entries.clear()
+      };
+      let subject = createSubject({ cacheStore, maxCacheSize: 1, cacheSweepInterval: 1 });
+      await build(subject);
+
+      expect(entries.size).to.equal(2);
+      expect(await subject.sweepPersistentCache()).to.equal(0);
+    });
+  });
+
+  describe('persistent cache memory tier', function() {
+    usePersistentCacheRoot('memory-tier-tests');
+    let input, output, id = 0;
+
+    beforeEach(async function() {
+      // the memory tier outlives the filters, so each test uses contents of
+      // its own.
+      id++;
+      input = await createTempDir();
+      input.write({
+        'a.js': `a dog ${id}`,
+        'b.js': `b dog ${id}`
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
+      }
+    });
+
+    function createSubject(options, Class) {
+      return new (Class || ReplaceFilter)(input.path(), Object.assign({
+        persist: true,
+        search: 'dog',
+        replace: 'cat'
+      }, options));
+    }
+
+    // builds `subject`, returning the instrumentation of the build.
+    async function build(subject) {
+      if (output) {
+        await output.dispose();
+      }
       output = createBuilder(subject);
+      await output.build();
+      let nodes = heimdall.toJSON().nodes.filter(node => node.id.name === 'applyPatches');
+      return nodes[nodes.length - 1].stats.own;
+    }
+
+    it('serves the entries of a previous filter from memory', async function() {
+      let stats = await build(createSubject({ memoryCacheSize: 1024 * 1024 }));
+      expect(stats.persistentCacheMemoryMiss).to.equal(2);
+      expect(stats.persistentCachePrime).to.equal(2);
+
+      let subject = createSubject({ memoryCacheSize: 1024 * 1024 });
+      sinon.spy(subject, 'processString');
+      let get = sinon.spy(Filter.DiskCacheStore.prototype, 'get');
+      try {
+        stats = await build(subject);
+      } finally {
+        get.restore();
+      }
+
+      expect(stats.persistentCacheMemoryHit).to.equal(2);
+      expect(stats.persistentCacheMemoryMiss).to.equal(0);
+      expect(stats.persistentCacheHit).to.equal(2);
+      expect(get.callCount).to.equal(0);
+      expect(subject.processString.callCount).to.equal(0);
+      expect(output.read()).to.deep.equal({ 'a.js': `a cat ${id}`, 'b.js': `b cat ${id}` });
+    });
+
+    it('falls back to the store', async function() {
+      await build(createSubject());
+
+      let stats = await build(createSubject({ memoryCacheSize: 1024 * 1024 }));
+      expect(stats.persistentCacheMemoryMiss).to.equal(2);
+      expect(stats.persistentCacheHit).to.equal(2);
+      expect(stats.persistentCachePrime).to.equal(0);
+
+      stats = await build(createSubject({ memoryCacheSize: 1024 * 1024 }));
+      expect(stats.persistentCacheMemoryHit).to.equal(2);
+    });
+
+    it('keeps no more than memoryCacheSize in memory', async function() {
+      await build(createSubject({ memoryCacheSize: 1 }));
+
+      let stats = await build(createSubject({ memoryCacheSize: 1 }));
+      expect(stats.persistentCacheMemoryHit).to.equal(0);
+      expect(stats.persistentCacheMemoryMiss).to.equal(2);
+      expect(stats.persistentCacheHit).to.equal(2);
+    });
+
+    it('is disabled by default', async function() {
+      await build(createSubject());
+
+      let stats = await build(createSubject());
+      expect(stats.persistentCacheMemoryHit).to.equal(0);
+      expect(stats.persistentCacheMemoryMiss).to.equal(0);
+      expect(stats.persistentCacheHit).to.equal(2);
+    });
+
+    it('is not affected by postProcess modifying its result', async function() {
+      class ExclaimFilter extends ReplaceFilter {
+        postProcess(result) {
+          result.output += '!';
+          return result;
+        }
+      }
+      await build(createSubject({ memoryCacheSize: 1024 * 1024 }, ExclaimFilter));
+      await build(createSubject({ memoryCacheSize: 1024 * 1024 }, ExclaimFilter));
+
+      expect(output.read()).to.deep.equal({ 'a.js': `a cat ${id}!`, 'b.js': `b cat ${id}!` });
+    });
+  });
+
+  describe('persistent cache cleanup', function() {
+    usePersistentCacheRoot('cache-cleanup-tests');
+    const DAY = 24 * 60 * 60 * 1000;
+    let input, output;
+
+    beforeEach(async function() {
+      // the filters of other tests are gone, but would keep their entries.
+      require('../lib/strategies/persistent').__STORE_USERS.clear();
+      input = await createTempDir();
+      input.write({
+        'a.js': 'a dog',
+        'b.js': 'b dog',
+        'c.js': 'c dog'
+      });
     });
 
     afterEach(async function() {
-      fs.mkdirSync.restore();
-      fs.writeFileSync.restore();
+      await input.dispose();
+      await output.dispose();
+    });
+
+    function createSubject(options) {
+      return new ReplaceFilter(input.path(), Object.assign({
+        persist: true,
+        search: 'dog',
+        replace: 'cat'
+      }, options));
+    }
+
+    function entryPath(subject, relativePath, contents) {
+      return subject.processor.processor._cache.pathFor(subject.cacheKeyProcessString(contents, relativePath));
+    }
+
+    // builds all files once and makes every cache entry look two days old.
+    async function populateCache() {
+      let subject = createSubject();
+      output = createBuilder(subject);
+      await output.build();
+      await output.dispose();
+      // as if it was built by another process.
+      require('../lib/strategies/persistent').__STORE_USERS.clear();
+      let root = subject.processor.processor._cache.root;
+      let old = new Date(Date.now() - 2 * DAY);
+      for (let file of fs.readdirSync(root)) {
+        fs.utimesSync(path.join(root, file), old, old);
+      }
+      return subject;
+    }
+
+    it('evicts entries that were not used within maxCacheAge', async function() {
+      let root = (await populateCache()).processor.processor._cache.root;
+      expect(fs.readdirSync(root)).to.have.length(3);
+
+      input.write({ 'b.js': null, 'c.js': null });
+      let subject = createSubject({ maxCacheAge: DAY });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(subject.processString.callCount).to.equal(0);
+      expect(fs.readdirSync(root)).to.deep.equal([path.basename(entryPath(subject, 'a.js', 'a dog'))]);
+    });
+
+    it('evicts the least recently used entries over maxCacheSize', async function() {
+      let populated = await populateCache();
+      let root = populated.processor.processor._cache.root;
+      let entry = entryPath(populated, 'a.js', 'a dog');
+
+      // a.js is the only cache hit, and there is only room for one entry.
+      input.write({ 'b.js': null, 'c.js': null });
+      let subject = createSubject({ maxCacheSize: fs.statSync(entry).size });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(fs.readdirSync(root)).to.deep.equal([path.basename(entry)]);
+    });
+
+    it('sweeps entries that no file uses', async function() {
+      let populated = await populateCache();
+      let root = populated.processor.processor._cache.root;
+
+      input.write({ 'b.js': 'b new dog', 'c.js': null });
+      let subject = createSubject();
+      output = createBuilder(subject);
+      expect(await subject.sweepPersistentCache(), 'before the first build').to.equal(0);
+      await output.build();
+
+      expect(fs.readdirSync(root)).to.have.length(4);
+      expect(await subject.sweepPersistentCache()).to.equal(2);
+      expect(fs.readdirSync(root).sort()).to.deep.equal([
+        path.basename(entryPath(subject, 'a.js', 'a dog')),
+        path.basename(entryPath(subject, 'b.js', 'b new dog'))
+      ].sort());
+    });
+
+    it('sweeps entries that stopped being used in this process', async function() {
+      let subject = createSubject();
+      output = createBuilder(subject);
+      await output.build();
+      let root = subject.processor.processor._cache.root;
+
+      input.write({ 'b.js': 'b new dog' });
+      await output.build();
+      expect(fs.readdirSync(root)).to.have.length(4);
+      expect(await subject.sweepPersistentCache()).to.equal(1);
+      expect(fs.readdirSync(root)).not.to.include(path.basename(entryPath(subject, 'b.js', 'b dog')));
+    });
+
+    it('does not sweep entries used by other filters in this process', async function() {
+      let root = (await populateCache()).processor.processor._cache.root;
+      let otherInput = await createTempDir();
+      try {
+        otherInput.write({ 'd.js': 'd dog' });
+        let other = new ReplaceFilter(otherInput.path(), { persist: true, search: 'dog', replace: 'cat' });
+        let otherOutput = createBuilder(other);
+        await otherOutput.build();
+        await otherOutput.dispose();
+
+        input.write({ 'c.js': null });
+        let subject = createSubject();
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(await subject.sweepPersistentCache()).to.equal(1);
+        expect(fs.readdirSync(root)).to.include(path.basename(entryPath(other, 'd.js', 'd dog')));
+      } finally {
+        await otherInput.dispose();
+      }
+    });
+
+    it('sweeps automatically every cacheSweepInterval builds', async function() {
+      let root = (await populateCache()).processor.processor._cache.root;
+
+      input.write({ 'c.js': null });
+      let subject = createSubject({ cacheSweepInterval: 2 });
+      output = createBuilder(subject);
+      await output.build();
+      expect(fs.readdirSync(root)).to.have.length(3);
+
+      input.write({ 'b.js': null });
+      await output.build();
+      expect(fs.readdirSync(root)).to.deep.equal([path.basename(entryPath(subject, 'a.js', 'a dog'))]);
+    });
+
+    it('does not sweep entries used by a filter that can not be told apart from this one', async function() {
+      let first = createSubject({ glob: 'a.js' });
+      let firstOutput = createBuilder(first);
+      try {
+        await firstOutput.build();
+
+        let subject = createSubject({ glob: 'b.js' });
+        output = createBuilder(subject);
+        await output.build();
+        expect(subject._stableId()).to.equal(first._stableId());
+
+        expect(await subject.sweepPersistentCache()).to.equal(0);
+        expect(fs.readdirSync(subject.processor.processor._cache.root).sort()).to.deep.equal([
+          path.basename(entryPath(subject, 'a.js', 'a dog')),
+          path.basename(entryPath(subject, 'b.js', 'b dog'))
+        ].sort());
+      } finally {
+        await firstOutput.dispose();
+      }
+    });
+
+    it('evicts at most every few minutes', async function() {
+      let subject = createSubject({ maxCacheAge: DAY });
+      output = createBuilder(subject);
+      await output.build();
+      let strategy = subject.processor.processor;
+      let evict = sinon.spy(strategy._cache, 'evict');
+
+      input.write({ 'a.js': 'a new dog' });
+      await output.build();
+      expect(evict.callCount).to.equal(0);
+
+      // as if the last eviction was long ago.
+      strategy._lastEvicted = 0;
+      input.write({ 'a.js': 'a newer dog' });
+      await output.build();
+      expect(evict.callCount).to.equal(1);
+    });
+
+    it('does not evict without limits', async function() {
+      let root = (await populateCache()).processor.processor._cache.root;
+
+      let subject = createSubject();
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(fs.readdirSync(root)).to.have.length(3);
+    });
+  });
+
+  describe('persistent cache (process.env.CI=true)', function() {
+    usePersistentCacheRoot();
+    let input;
+
+    class F extends Filter {
+      constructor(inputTree, options) {
+       super(inputTree, options);
+      }
+    }
+
+    F.prototype.baseDir = function() {
+      return path.join(__dirname, '../');
+    };
+
+    beforeEach(async function() {
+      process.env.CI = true;
+      input = await createTempDir();
+      input.write({
+        a: {
+          'README.md': 'Nicest cats in need of homes',
+          bar: {
+            'bar.js': 'Dogs... who needs dogs?'
+          },
+          'foo.js': 'Nicest dogs in need of homes'
+        }
+      });
+    });
 
+    afterEach(async function() {
       await input.dispose();
+    });
+
+    it('initializes cache', function() {
+      let f = new F(input.path(), {
+        persist: true
+      });
+
+      // TODO: we should just deal in observable differences, not reaching into private state
+      expect(f.processor.processor._cache).to.eql(undefined);
+    });
+
+    it('calls postProcess for persistent cache hits (work is not needed)', async function() {
+      process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT = path.join(os.tmpdir(),
+        'process-cache-string-tests');
+      rimraf(process.env.BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT);
+
+      let subject = new ReplaceFilter(input.path(), {
+        persist: true,
+      });
+      subject.postProcess = function(result) {
+        expect(result.output).to.exist;
+        return result;
+      };
+      sinon.spy(subject, 'processString');
+      sinon.spy(subject, 'postProcess');
+      input.write({
+        a: {
+          'README.md': 'Nicest cats in need of homes',
+          bar: {
+            'bar.js': 'Dogs... who needs dogs?'
+          },
+          'foo.js': 'Nicest dogs in need of homes'
+        }
+      });
+      let output = createBuilder(subject);
+      await output.build();
+      // first time, build everything
+      expect(subject.processString.callCount).to.equal(3);
+      expect(subject.postProcess.callCount).to.equal(3);
+      subject = new ReplaceFilter(input.path(), {
+        persist: true,
+      });
+      subject.postProcess = function(result) {
+        expect(result.output).to.exist;
+        return result;
+      };
+      sinon.spy(subject, 'processString');
+      sinon.spy(subject, 'postProcess');
+      output = createBuilder(subject);
+      await output.build();
+      expect(subject.processString.callCount).to.equal(3);
       await output.dispose();
     });
+  });
+
+  describe('processFile', function() {
+    let input, subject, output;
+
+    beforeEach(async function() {
+      sinon.spy(fs, 'mkdirSync');
+      sinon.spy(fs, 'writeFileSync');
+
+      input = await createTempDir();
+      subject = new ReplaceFilter(input.path(), {
+        search: 'dogs',
+        replace: 'cats'
+      });
+
+      sinon.spy(subject, 'processString');
+      sinon.spy(subject, 'postProcess');
+
+      output = createBuilder(subject);
+    });
+
+    afterEach(async function() {
+      fs.mkdirSync.restore();
+      fs.writeFileSync.restore();
+
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('should work if `processString` returns a Promise', async function() {
+      input.write({
+        'foo.js': 'a promise is a promise'
+      });
+
+      await output.build();
+
+      expect(output.read()['foo.js']).to.equal('a promise is a promise');
+    });
+
+    it('does not effect the current cwd', async function() {
+      input.write({
+        'a': {
+          'foo.js': 'Nicest dogs in need of homes'
+        }
+      });
+
+      await output.build();
+
+      let cwd = process.cwd();
+      let a = path.join(cwd, 'a');
+
+      expect(fs.mkdirSync.calledWith(a, 493)).to.eql(false);
+      expect(fs.mkdirSync.calledWith(path.join(a, 'bar'), 493)).to.eql(false);
+
+      expect(fs.writeFileSync.calledWith(path.join(cwd, 'a', 'foo.js'),
+        'Nicest dogs in need of homes')).to.eql(false);
+
+      await output.build();
+
+      expect(fs.writeFileSync.calledWith(path.join(cwd, 'a', 'foo.js'),
+        'Nicest dogs in need of homes')).to.eql(false);
+    });
+
+    it('does not accidentally write to symlinks it created', async function() {
+      class Coffee extends Filter {
+        processString(content) {
+          return content;
+        }
+      }
+      Coffee.prototype.extensions = ['coffee'];
+      Coffee.prototype.targetExtension = 'js';
+      subject = new Coffee(input.path(), { async:true });
+
+      const ORIGINAL_FOO_JS = `console.log(\'Hello, World!\')`;
+
+      input.write({
+        'foo.js': ORIGINAL_FOO_JS
+      });
+
+      output = createBuilder(subject);
+
+      await output.build();
+
+      expect(output.read()).to.eql({
+        'foo.js': ORIGINAL_FOO_JS
+      });
+
+      input.write({
+        'foo.coffee': '\'coffee source\''
+      });
+
+      await output.build();
+
+      expect(output.read()).to.eql({
+        'foo.js': '\'coffee source\''
+      });
+      expect(input.read()['foo.js']).to.eql(ORIGINAL_FOO_JS);
+    });
+  });
+
+  describe('passthrough', function() {
+    let input, output;
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'processed',
+        'README.md': 'readme',
+        lib: {
+          'b.js': 'bee',
+          'notes.txt': 'notes',
+        },
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
+      }
+    });
+
+    function isSymlink(relativePath) {
+      return fs.lstatSync(output.path(relativePath)).isSymbolicLink();
+    }
+
+    it('symlinks unprocessed files by default', async function() {
+      output = createBuilder(new Rot13Filter(input.path(), { extensions: ['js'] }));
+      await output.build();
+
+      expect(output.readText('README.md')).to.equal('readme');
+      expect(isSymlink('README.md')).to.equal(true);
+      expect(isSymlink('a.js')).to.equal(false);
+    });
+
+    it('copies unprocessed files with passthrough: copy', async function() {
+      output = createBuilder(new Rot13Filter(input.path(), { extensions: ['js'], passthrough: 'copy' }));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.js': 'cebprffrq',
+        'README.md': 'readme',
+        lib: {
+          'b.js': 'orr',
+          'notes.txt': 'notes',
+        },
+      });
+      expect(isSymlink('README.md')).to.equal(false);
+
+      input.write({ 'README.md': 'updated' });
+      await output.build();
+      expect(output.readText('README.md')).to.equal('updated');
+      expect(isSymlink('README.md')).to.equal(false);
+
+      input.write({ 'README.md': null });
+      await output.build();
+      expect(output.readDir()).to.not.include('README.md');
+    });
+
+    it('leaves unprocessed files out with passthrough: drop', async function() {
+      output = createBuilder(new Rot13Filter(input.path(), { extensions: ['js'], passthrough: 'drop' }));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.js': 'cebprffrq',
+        lib: {
+          'b.js': 'orr',
+        },
+      });
+
+      input.write({ 'README.md': 'updated', lib: { 'notes.txt': null } });
+      await output.build();
+      expect(output.readDir()).to.deep.equal(['a.js', 'lib/', 'lib/b.js']);
+
+      input.write({ 'README.md': null });
+      await output.build();
+      expect(output.readDir()).to.deep.equal(['a.js', 'lib/', 'lib/b.js']);
+    });
+
+    it('lets subclasses choose the mode of each file', async function() {
+      class Chooser extends Rot13Filter {
+        getPassthroughMode(relativePath) {
+          return relativePath.endsWith('.md') ? 'copy' : 'drop';
+        }
+      }
+      let subject = new Chooser(input.path(), { extensions: ['js'] });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.readDir()).to.deep.equal(['README.md', 'a.js', 'lib/', 'lib/b.js']);
+      expect(isSymlink('README.md')).to.equal(false);
+
+      let stats = heimdall.toJSON().nodes.filter(node => node.id.name === 'applyPatches').pop().stats.own;
+      expect(stats.copied).to.equal(1);
+      expect(stats.dropped).to.equal(1);
+    });
+
+    it('keeps track of the output when the mode of a file changes', async function() {
+      let mode = 'drop';
+      class Chooser extends Rot13Filter {
+        getPassthroughMode() {
+          return mode;
+        }
+      }
+      output = createBuilder(new Chooser(input.path(), { extensions: ['js'] }));
+      await output.build();
+      expect(output.readDir()).to.not.include('README.md');
+
+      mode = 'link';
+      input.write({ 'README.md': 'linked' });
+      await output.build();
+      expect(output.readText('README.md')).to.equal('linked');
+      expect(isSymlink('README.md')).to.equal(true);
+
+      mode = 'copy';
+      input.write({ 'README.md': 'copied' });
+      await output.build();
+      expect(output.readText('README.md')).to.equal('copied');
+      expect(isSymlink('README.md')).to.equal(false);
+
+      mode = 'drop';
+      input.write({ 'README.md': 'dropped' });
+      await output.build();
+      expect(output.readDir()).to.not.include('README.md');
+    });
+
+    it('does not count dropped files as output collisions', async function() {
+      input.write({ 'a.ts': 'typescript' });
+      output = createBuilder(new Rot13Filter(input.path(), {
+        extensions: ['ts'],
+        targetExtension: 'js',
+        passthrough: 'drop',
+      }));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.js': 'glcrfpevcg',
+        lib: {},
+      });
+    });
+
+    it('rejects unknown modes', function() {
+      expect(() => new Rot13Filter(input.path(), { passthrough: 'move' })).to.throw(TypeError, /passthrough/);
+    });
+  });
+
+  describe('retrying failed files', function() {
+    usePersistentCacheRoot('retry-tests');
+    let input, output;
+
+    class Upcaser extends Filter {
+      processString(contents, relativePath) {
+        if (contents.includes('error')) {
+          throw new Error(`cannot process ${relativePath}`);
+        }
+        return contents.toUpperCase();
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'a',
+        'b.js': 'error',
+        'c.js': 'c',
+        'd.txt': 'd'
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    function createSubject(options) {
+      let subject = new Upcaser(input.path(), Object.assign({ extensions: ['js'] }, options));
+      sinon.spy(subject, 'processString');
+      return subject;
+    }
+
+    function processedFiles(subject) {
+      return subject.processString.args.map(args => args[1]).sort();
+    }
+
+    it('only processes the failed and the remaining files in the next build', async function() {
+      let subject = createSubject();
+      output = createBuilder(subject);
+      await expect(output.build()).to.be.rejectedWith(/cannot process b.js/);
+      expect(processedFiles(subject)).to.deep.equal(['a.js', 'b.js']);
+
+      subject.processString.resetHistory();
+      input.write({ 'b.js': 'b' });
+      await output.build();
+
+      expect(processedFiles(subject)).to.deep.equal(['b.js', 'c.js']);
+      expect(output.read()).to.deep.equal({ 'a.js': 'A', 'b.js': 'B', 'c.js': 'C', 'd.txt': 'd' });
+    });
+
+    it('retries failed files that did not change once, then starts over', async function() {
+      let subject = createSubject({ collectErrors: true });
+      output = createBuilder(subject);
+      await expect(output.build()).to.be.rejectedWith(/1 file failed to process/);
+
+      subject.processString.resetHistory();
+      await expect(output.build()).to.be.rejectedWith(/1 file failed to process/);
+      expect(processedFiles(subject)).to.deep.equal(['b.js']);
+
+      subject.processString.resetHistory();
+      await expect(output.build()).to.be.rejectedWith(/1 file failed to process/);
+      expect(processedFiles(subject)).to.deep.equal(['a.js', 'b.js', 'c.js']);
+    });
+
+    it('keeps retrying a failed file that changed', async function() {
+      let subject = createSubject({ collectErrors: true });
+      output = createBuilder(subject);
+      await expect(output.build()).to.be.rejectedWith(/1 file failed to process/);
+
+      subject.processString.resetHistory();
+      input.write({ 'b.js': 'another error' });
+      await expect(output.build()).to.be.rejectedWith(/1 file failed to process/);
+      expect(processedFiles(subject)).to.deep.equal(['b.js']);
+
+      subject.processString.resetHistory();
+      input.write({ 'b.js': 'b' });
+      await output.build();
+      expect(processedFiles(subject)).to.deep.equal(['b.js']);
+      expect(output.read()).to.deep.equal({ 'a.js': 'A', 'b.js': 'B', 'c.js': 'C', 'd.txt': 'd' });
+    });
+
+    it('starts over when the output can not be updated', async function() {
+      input.write({ 'b.js': 'b' });
+      let subject = createSubject();
+      output = createBuilder(subject);
+      await output.build();
+
+      fs.unlinkSync(path.join(subject.outputPath, 'a.js'));
+      input.write({ 'a.js': null });
+      await expect(output.build()).to.be.rejectedWith(/ENOENT/);
+
+      subject.processString.resetHistory();
+      await output.build();
+      expect(processedFiles(subject)).to.deep.equal(['b.js', 'c.js']);
+      expect(output.read()).to.deep.equal({ 'b.js': 'B', 'c.js': 'C', 'd.txt': 'd' });
+    });
+
+    it('keeps the outputs of the other files', async function() {
+      let subject = createSubject({ async: true, collectErrors: true });
+      output = createBuilder(subject);
+      await expect(output.build()).to.be.rejectedWith(/1 file failed to process/);
+      expect(output.read()).to.deep.equal({ 'a.js': 'A', 'c.js': 'C', 'd.txt': 'd' });
+
+      subject.processString.resetHistory();
+      input.write({ 'b.js': 'b', 'c.js': 'c again' });
+      await output.build();
+
+      expect(processedFiles(subject)).to.deep.equal(['b.js', 'c.js']);
+      expect(output.read()).to.deep.equal({ 'a.js': 'A', 'b.js': 'B', 'c.js': 'C AGAIN', 'd.txt': 'd' });
+    });
+
+    it('applies the changes of the next build to files that were not processed', async function() {
+      let subject = createSubject();
+      output = createBuilder(subject);
+      await expect(output.build()).to.be.rejectedWith(/cannot process b.js/);
+
+      input.write({ 'b.js': null, 'c.js': null, 'd.txt': null });
+      await output.build();
+
+      expect(output.read()).to.deep.equal({ 'a.js': 'A' });
+    });
+
+    it('retries a file whose output was replaced by a failed change', async function() {
+      let subject = createSubject();
+      output = createBuilder(subject);
+      input.write({ 'b.js': 'b' });
+      await output.build();
+
+      input.write({ 'b.js': 'error again' });
+      await expect(output.build()).to.be.rejectedWith(/cannot process b.js/);
+      expect(output.read()['b.js']).to.equal('B');
+
+      input.write({ 'b.js': 'b fixed' });
+      await output.build();
+      expect(output.read()['b.js']).to.equal('B FIXED');
+    });
+
+    it('does not read a dependency-invalidated file from the persistent cache on retry', async function() {
+      input.write({
+        'has-inlines.js': `// << ./dep.txt\n`,
+        'dep.txt': 'v1',
+      });
+      let subject = new Inliner(input.path(), { persist: true, cacheStore: new Filter.MemoryCacheStore() });
+      output = createBuilder(subject);
+      await output.build();
+      expect(output.readText('has-inlines.js')).to.equal('v1\n');
+
+      input.write({ 'dep.txt': 'v2' });
+      let processString = sinon.stub(subject, 'processString').callThrough();
+      processString.onFirstCall().throws(new Error('cannot process has-inlines.js'));
+      await expect(output.build()).to.be.rejectedWith(/cannot process has-inlines.js/);
+
+      await output.build();
+      expect(output.readText('has-inlines.js')).to.equal('v2\n');
+    });
+  });
+
+  describe('collectErrors', function() {
+    let input, output;
+
+    class Linter extends Filter {
+      processString(contents, relativePath) {
+        let match = contents.match(/error at (\d+):(\d+)/);
+        if (match) {
+          let error = new Error(`lint error in ${relativePath}`);
+          error.line = Number(match[1]);
+          error.column = Number(match[2]);
+          throw error;
+        }
+        return contents.toUpperCase();
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'fine',
+        'b.js': 'error at 1:2',
+        'c.js': 'error at 3:4'
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    async function buildError() {
+      try {
+        await output.build();
+      } catch (error) {
+        return error.broccoliPayload.originalError;
+      }
+      throw new Error('expected the build to fail');
+    }
+
+    for (let async of [false, true]) {
+      it(`reports every failed file${async ? ' (async)' : ''}`, async function() {
+        output = createBuilder(new Linter(input.path(), { collectErrors: true, async, concurrency: 2 }));
+        let error = await buildError();
+
+        expect(error).to.be.an.instanceOf(Filter.AggregateProcessingError);
+        expect(error.errors.map(e => [e.file, e.treeDir, e.line, e.column])).to.deep.equal([
+          ['b.js', input.path(), 1, 2],
+          ['c.js', input.path(), 3, 4]
+        ]);
+        expect(error.message).to.contain('2 files failed to process');
+        expect(error.message).to.contain(`b.js:1:2 (in ${input.path()}): lint error in b.js`);
+        expect(error.message).to.contain(`c.js:3:4 (in ${input.path()}): lint error in c.js`);
+        expect(error.file).to.equal('b.js');
+        expect(error.treeDir).to.equal(input.path());
+        expect(error.line).to.equal(1);
+        expect(error.column).to.equal(2);
+        expect(output.read()['a.js']).to.equal('FINE');
+      });
+    }
+
+    it('fails on the first error by default', async function() {
+      output = createBuilder(new Linter(input.path(), {}));
+      let error = await buildError();
+
+      expect(error).not.to.be.an.instanceOf(Filter.AggregateProcessingError);
+      expect(error.file).to.equal('b.js');
+    });
+
+    it('succeeds once the errors are fixed', async function() {
+      output = createBuilder(new Linter(input.path(), { collectErrors: true }));
+      await buildError();
+
+      input.write({ 'b.js': 'fixed', 'c.js': 'fixed' });
+      await output.build();
+
+      expect(output.read()).to.deep.equal({ 'a.js': 'FINE', 'b.js': 'FIXED', 'c.js': 'FIXED' });
+    });
+  });
+
+  describe('diagnostics', function() {
+    usePersistentCacheRoot();
+    let input, output;
+
+    class Linter extends Filter {
+      processString(contents) {
+        let diagnostics = [];
+        contents.split('\n').forEach((line, index) => {
+          if (line.includes('var ')) {
+            diagnostics.push({ message: 'Unexpected var', severity: 'warning', line: index + 1 });
+          }
+        });
+        return { output: contents, diagnostics };
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'b.js': 'let b;\nvar c;',
+        'a.js': 'var a;',
+        'clean.js': 'let d;'
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('exposes the diagnostics of each file after the build', async function() {
+      let subject = new Linter(input.path(), {});
+      expect(subject.getDiagnostics()).to.deep.equal([]);
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(subject.getDiagnostics()).to.deep.equal([
+        { file: 'a.js', message: 'Unexpected var', severity: 'warning', line: 1 },
+        { file: 'b.js', message: 'Unexpected var', severity: 'warning', line: 2 }
+      ]);
+    });
+
+    it('keeps the file of a diagnostic about another file', async function() {
+      class ImportChecker extends Filter {
+        processString(contents, relativePath) {
+          return { output: contents, diagnostics: [{ message: `imported by ${relativePath}`, severity: 'info', file: 'lib.js' }] };
+        }
+      }
+      input.write({ 'b.js': null, 'clean.js': null });
+      let subject = new ImportChecker(input.path(), {});
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(subject.getDiagnostics()).to.deep.equal([
+        { file: 'lib.js', message: 'imported by a.js', severity: 'info' }
+      ]);
+    });
+
+    it('updates the diagnostics of changed and removed files', async function() {
+      let subject = new Linter(input.path(), {});
+      output = createBuilder(subject);
+      await output.build();
+
+      input.write({ 'a.js': null, 'b.js': 'let b;', 'clean.js': 'var d;\nvar e;' });
+      await output.build();
+
+      expect(subject.getDiagnostics()).to.deep.equal([
+        { file: 'clean.js', message: 'Unexpected var', severity: 'warning', line: 1 },
+        { file: 'clean.js', message: 'Unexpected var', severity: 'warning', line: 2 }
+      ]);
+    });
+
+    it('replays the diagnostics of persistent cache hits', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      output = createBuilder(new Linter(input.path(), { persist: true, cacheStore }));
+      await output.build();
+      await output.dispose();
+
+      let subject = new Linter(input.path(), { persist: true, cacheStore });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(subject.processString.callCount).to.equal(0);
+      expect(subject.getDiagnostics()).to.deep.equal([
+        { file: 'a.js', message: 'Unexpected var', severity: 'warning', line: 1 },
+        { file: 'b.js', message: 'Unexpected var', severity: 'warning', line: 2 }
+      ]);
+    });
+  });
+
+  describe('no output', function() {
+    usePersistentCacheRoot();
+    let input, output;
+
+    class Partials extends Filter {
+      processString(contents, relativePath) {
+        if (contents.trim() === '' || contents.includes('@internal')) {
+          return null;
+        }
+        return {
+          output: contents.toUpperCase(),
+          outputFiles: { [`${relativePath}.txt`]: 'extra' },
+        };
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.hbs': 'a',
+        'empty.hbs': '  ',
+        'secret.hbs': '{{! @internal }}',
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('writes nothing for files whose processString returns null', async function() {
+      output = createBuilder(new Partials(input.path(), {}));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.hbs': 'A',
+        'a.hbs.txt': 'extra',
+      });
+    });
+
+    it('writes nothing for files whose postProcess returns null', async function() {
+      class Dropper extends Partials {
+        postProcess(result, relativePath) {
+          return relativePath === 'a.hbs' ? null : result;
+        }
+      }
+      input.write({ 'b.hbs': 'b' });
+      output = createBuilder(new Dropper(input.path(), {}));
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'b.hbs': 'B',
+        'b.hbs.txt': 'extra',
+      });
+    });
+
+    it('writes nothing for files whose processBuffer returns null', async function() {
+      class Binary extends Filter {
+        processBuffer(contents) {
+          return contents.length === 0 ? null : contents;
+        }
+      }
+      input.write({ 'empty.bin': '', 'data.bin': 'data' });
+      output = createBuilder(new Binary(input.path(), { extensions: ['bin'], inputEncoding: null, outputEncoding: null }));
+      await output.build();
+
+      expect(output.readDir()).to.deep.equal(['a.hbs', 'data.bin', 'empty.hbs', 'secret.hbs']);
+    });
+
+    it('removes the previous output of a file that stops producing output, and restores it', async function() {
+      output = createBuilder(new Partials(input.path(), {}));
+      await output.build();
+
+      input.write({ 'a.hbs': '@internal' });
+      await output.build();
+      expect(output.read()).to.deep.equal({});
+
+      input.write({ 'a.hbs': 'b', 'secret.hbs': 'public' });
+      await output.build();
+      expect(output.read()).to.deep.equal({
+        'a.hbs': 'B',
+        'a.hbs.txt': 'extra',
+        'secret.hbs': 'PUBLIC',
+        'secret.hbs.txt': 'extra',
+      });
+
+      input.write({ 'a.hbs': null, 'empty.hbs': null });
+      await output.build();
+      expect(output.read()).to.deep.equal({
+        'secret.hbs': 'PUBLIC',
+        'secret.hbs.txt': 'extra',
+      });
+    });
+
+    it('removes a file without output that failed to process since', async function() {
+      class Failing extends Partials {
+        processString(contents, relativePath) {
+          if (contents.includes('error')) {
+            throw new Error(`cannot process ${relativePath}`);
+          }
+          return super.processString(contents, relativePath);
+        }
+      }
+      output = createBuilder(new Failing(input.path(), {}));
+      await output.build();
+
+      input.write({ 'secret.hbs': '@internal error' });
+      await expect(output.build()).to.be.rejectedWith(/cannot process secret.hbs/);
+
+      input.write({ 'secret.hbs': null });
+      await output.build();
+      expect(output.read()).to.deep.equal({
+        'a.hbs': 'A',
+        'a.hbs.txt': 'extra',
+      });
+    });
+
+    it('caches the decision not to produce output persistently', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      output = createBuilder(new Partials(input.path(), { persist: true, cacheStore }));
+      await output.build();
+      await output.dispose();
+
+      let subject = new Partials(input.path(), { persist: true, cacheStore });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(subject.processString.callCount).to.equal(0);
+      expect(output.read()).to.deep.equal({
+        'a.hbs': 'A',
+        'a.hbs.txt': 'extra',
+      });
+
+      input.write({ 'secret.hbs': null });
+      await output.build();
+      expect(output.readDir()).to.deep.equal(['a.hbs', 'a.hbs.txt']);
+    });
+  });
+
+  describe('outputFiles', function() {
+    let input, output, subject;
+
+    class SourceMapper extends Filter {
+      processString(contents, relativePath) {
+        let outputFiles = {
+          [relativePath + '.map']: `map for ${contents}`
+        };
+        if (contents.includes('types')) {
+          outputFiles[relativePath.replace(/\.js$/, '.d.ts')] = `types for ${contents}`;
+        }
+        return { output: contents, outputFiles };
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a': {
+          'foo.js': 'foo with types',
+          'bar.js': 'bar'
+        }
+      });
+      subject = new SourceMapper(input.path(), { extensions: ['js'] });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('writes the additional files next to the primary output', async function() {
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a': {
+          'foo.js': 'foo with types',
+          'foo.js.map': 'map for foo with types',
+          'foo.d.ts': 'types for foo with types',
+          'bar.js': 'bar',
+          'bar.js.map': 'map for bar'
+        }
+      });
+    });
+
+    it('removes additional files that are no longer produced on change', async function() {
+      await output.build();
+
+      input.write({ 'a': { 'foo.js': 'foo' } });
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a': {
+          'foo.js': 'foo',
+          'foo.js.map': 'map for foo',
+          'bar.js': 'bar',
+          'bar.js.map': 'map for bar'
+        }
+      });
+    });
+
+    it('removes additional files on unlink', async function() {
+      await output.build();
+
+      input.write({ 'a': { 'foo.js': null } });
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a': {
+          'bar.js': 'bar',
+          'bar.js.map': 'map for bar'
+        }
+      });
+    });
+
+    it('rejects additional files outside of the output tree', async function() {
+      subject.processString = function(contents) {
+        return { output: contents, outputFiles: { '../escaped.js': contents } };
+      };
+
+      await expect(output.build()).to.be.rejectedWith(/cannot start outside the local root/);
+    });
+
+    describe('with cache persistence', function() {
+      usePersistentCacheRoot('output-files-tests');
+
+      it('restores additional files from the cache', async function() {
+        subject = new SourceMapper(input.path(), { extensions: ['js'], persist: true });
+        output = createBuilder(subject);
+        await output.build();
+        let firstBuild = output.read();
+        await output.dispose();
+
+        subject = new SourceMapper(input.path(), { extensions: ['js'], persist: true });
+        sinon.spy(subject, 'processString');
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(subject.processString.callCount).to.equal(0);
+        expect(output.read()).to.deep.equal(firstBuild);
+        expect(output.readText('a/foo.d.ts')).to.equal('types for foo with types');
+      });
+    });
+  });
+
+  describe('sourceMaps', function() {
+    let input, output, subject;
+
+    class Mapper extends Filter {
+      processString(contents, relativePath, inputSourceMap) {
+        return {
+          output: contents.split('\n')[0].toUpperCase(),
+          map: {
+            version: 3,
+            sources: inputSourceMap ? inputSourceMap.sources : [relativePath],
+            mappings: ''
+          }
+        };
+      }
+    }
+
+    function mapFor(sources) {
+      return JSON.stringify({ version: 3, sources, mappings: '' });
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a': {
+          'foo.js': 'foo',
+          'foo.js.map': mapFor(['foo.ts']),
+          'bar.js': 'bar\n//# sourceMappingURL=data:application/json;charset=utf-8;base64,' +
+            Buffer.from(mapFor(['bar.ts'])).toString('base64'),
+          'baz.js': 'baz',
+          'README.md': 'docs'
+        }
+      });
+      subject = new Mapper(input.path(), { extensions: ['js'], sourceMaps: true });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('passes the input source map to processString and writes the output map', async function() {
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a': {
+          'foo.js': 'FOO\n//# sourceMappingURL=foo.js.map\n',
+          'foo.js.map': JSON.stringify({ version: 3, sources: ['foo.ts'], mappings: '', file: 'foo.js' }),
+          'bar.js': 'BAR\n//# sourceMappingURL=bar.js.map\n',
+          'bar.js.map': JSON.stringify({ version: 3, sources: ['bar.ts'], mappings: '', file: 'bar.js' }),
+          'baz.js': 'BAZ\n//# sourceMappingURL=baz.js.map\n',
+          'baz.js.map': JSON.stringify({ version: 3, sources: ['a/baz.js'], mappings: '', file: 'baz.js' }),
+          'README.md': 'docs'
+        }
+      });
+      let inputMaps = subject.processString.args.map(args => args[2] && args[2].sources);
+      expect(inputMaps).to.have.deep.members([['foo.ts'], ['bar.ts'], undefined]);
+    });
+
+    it('reprocesses a file when its input source map changes', async function() {
+      await output.build();
+      subject.processString.resetHistory();
+
+      input.write({ 'a': { 'foo.js.map': mapFor(['foo.coffee']) } });
+      await output.build();
+
+      expect(subject.processString.callCount).to.equal(1);
+      expect(subject.processString.firstCall.args[1]).to.equal('a/foo.js');
+      expect(output.readText('a/foo.js.map')).to.contain('foo.coffee');
+
+      input.write({ 'a': { 'foo.js.map': null } });
+      await output.build();
+
+      expect(subject.processString.callCount).to.equal(2);
+      expect(output.readText('a/foo.js.map')).to.contain('a/foo.js');
+    });
+
+    it('reprocesses a file when a source map is added for it', async function() {
+      await output.build();
+      subject.processString.resetHistory();
+
+      input.write({ 'a': { 'baz.js.map': mapFor(['baz.ts']) } });
+      await output.build();
+
+      expect(subject.processString.callCount).to.equal(1);
+      expect(output.readText('a/baz.js.map')).to.contain('baz.ts');
+    });
+
+    it('removes the comment that refers to an input source map when there is no output map', async function() {
+      class Namer extends Filter {
+        processString(contents) {
+          return contents.replace(/^\w+/, name => name.toUpperCase());
+        }
+      }
+      input.write({ 'a': { 'foo.js': 'foo\n//# sourceMappingURL=foo.js.map\n' } });
+      subject = new Namer(input.path(), { extensions: ['js'], sourceMaps: true });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.readText('a/foo.js')).to.equal('FOO\n');
+      expect(output.readText('a/foo.js.map')).to.equal(undefined);
+      expect(output.readText('a/bar.js')).to.contain('//# sourceMappingURL=data:application/json');
+    });
+
+    it('passes source maps through when disabled', async function() {
+      subject = new Mapper(input.path(), { extensions: ['js'] });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.readText('a/foo.js')).to.equal('FOO');
+      expect(output.readText('a/foo.js.map')).to.equal(mapFor(['foo.ts']));
+      expect(output.readText('a/baz.js.map')).to.equal(undefined);
+      expect(subject.processString.args.map(args => args[2])).to.deep.equal([undefined, undefined, undefined]);
+    });
+  });
+
+  describe('processBuffer', function() {
+    const BINARY = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0xfe, 0x0a]);
+    let input, output, subject;
+
+    class Inverter extends Filter {
+      processBuffer(buffer) {
+        return Buffer.from(buffer.map(byte => 0xff - byte));
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    function inverted(buffer) {
+      return Buffer.from(buffer.map(byte => 0xff - byte));
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      fs.writeFileSync(input.path('image.png'), BINARY);
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('is called with a buffer when inputEncoding is null', async function() {
+      subject = new Inverter(input.path(), { inputEncoding: null, outputEncoding: null });
+      sinon.spy(subject, 'processBuffer');
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(subject.processBuffer.callCount).to.equal(1);
+      expect(Buffer.isBuffer(subject.processBuffer.firstCall.args[0])).to.equal(true);
+      expect(fs.readFileSync(output.path('image.png'))).to.deep.equal(inverted(BINARY));
+    });
+
+    it('passes the buffer to processString by default', async function() {
+      class Legacy extends Filter {
+        processString(contents) {
+          return Buffer.concat([contents, contents]);
+        }
+      }
+      subject = new Legacy(input.path(), { inputEncoding: null, outputEncoding: null });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(fs.readFileSync(output.path('image.png'))).to.deep.equal(Buffer.concat([BINARY, BINARY]));
+    });
+
+    it('writes the string processString returns by default', async function() {
+      class Describer extends Filter {
+        processString(contents) {
+          return `${contents.length} bytes`;
+        }
+      }
+      subject = new Describer(input.path(), { inputEncoding: null });
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.read()).to.deep.equal({ 'image.png': '8 bytes' });
+    });
+
+    it('`cacheKeyProcessBuffer` matches `cacheKeyProcessString` for the same text', function() {
+      subject = new Inverter(input.path(), { inputEncoding: null });
+      output = createBuilder(subject);
+
+      expect(subject.cacheKeyProcessBuffer(Buffer.from('foo-bar-baz'), 'relative-path')).
+        to.eql(subject.cacheKeyProcessString('foo-bar-baz', 'relative-path'));
+    });
+
+    describe('with cache persistence', function() {
+      usePersistentCacheRoot('process-buffer-tests');
+
+      it('round-trips buffers through the cache', async function() {
+        subject = new Inverter(input.path(), { inputEncoding: null, outputEncoding: null, persist: true });
+        sinon.spy(subject, 'cacheKeyProcessBuffer');
+        output = createBuilder(subject);
+        await output.build();
+        expect(subject.cacheKeyProcessBuffer.callCount).to.equal(1);
+        await output.dispose();
+
+        subject = new Inverter(input.path(), { inputEncoding: null, outputEncoding: null, persist: true });
+        sinon.spy(subject, 'processBuffer');
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(subject.processBuffer.callCount).to.equal(0);
+        expect(fs.readFileSync(output.path('image.png'))).to.deep.equal(inverted(BINARY));
+      });
+
+      it('round-trips the string processString returns by default through the cache', async function() {
+        class Describer extends Filter {
+          processString(contents) {
+            return `${contents.length} bytes`;
+          }
+
+          baseDir() {
+            return path.join(__dirname, '../');
+          }
+        }
+        subject = new Describer(input.path(), { inputEncoding: null, persist: true });
+        output = createBuilder(subject);
+        await output.build();
+        expect(output.read()).to.deep.equal({ 'image.png': '8 bytes' });
+        await output.dispose();
+
+        subject = new Describer(input.path(), { inputEncoding: null, persist: true });
+        sinon.spy(subject, 'processString');
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(subject.processString.callCount).to.equal(0);
+        expect(output.read()).to.deep.equal({ 'image.png': '8 bytes' });
+      });
+    });
+  });
+
+  describe('worker', function() {
+    const WORKER = path.join(__dirname, 'helpers/rot13-worker.js');
+    let input, output, subject;
+
+    class WorkerFilter extends Filter {
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'abc',
+        'b.js': 'def',
+        'c.js': 'ghi',
+        'd.js': 'jkl'
+      });
+    });
+
+    afterEach(async function() {
+      if (subject._workerPool) {
+        subject._workerPool.terminate();
+      }
+      await input.dispose();
+      await output.dispose();
+    });
+
+    it('runs processString in a pool of worker threads', async function() {
+      subject = new WorkerFilter(input.path(), {
+        worker: WORKER,
+        workerOptions: { prefix: '// rot13\n' },
+        concurrency: 2
+      });
+      sinon.spy(subject, 'postProcess');
+      output = createBuilder(subject);
+      await output.build();
+
+      expect(output.read()).to.deep.equal({
+        'a.js': '// rot13\nnop',
+        'b.js': '// rot13\nqrs',
+        'c.js': '// rot13\ntuv',
+        'd.js': '// rot13\nwxy'
+      });
+      expect(subject.async).to.equal(true);
+      expect(subject._workerPool.workerCount).to.equal(2);
+      expect(subject.postProcess.callCount).to.equal(4);
+      let threadIds = subject.postProcess.args.map(args => args[0].threadId);
+      expect(threadIds).to.not.include(0);
+    });
+
+    it('reports errors thrown in the worker with the file that caused them', async function() {
+      input.write({ 'b.js': 'syntax error' });
+      subject = new WorkerFilter(input.path(), {
+        worker: WORKER,
+        workerOptions: { prefix: '' },
+        concurrency: 2
+      });
+      output = createBuilder(subject);
+
+      let error;
+      try {
+        await output.build();
+      } catch (e) {
+        error = e.broccoliPayload.originalError;
+      }
+      expect(error.message).to.contain('b.js could not be parsed');
+      expect(error.file).to.equal('b.js');
+      expect(error.line).to.equal(2);
+      expect(error.column).to.equal(4);
+    });
+
+    it('makes `worker` and `workerOptions` part of the default cache key', function() {
+      subject = new WorkerFilter(input.path(), {});
+      output = createBuilder(subject);
+      let key = subject.cacheKey();
+      let workerKey = new WorkerFilter(input.path(), { worker: WORKER }).cacheKey();
+
+      expect(workerKey).not.to.equal(key);
+      expect(new WorkerFilter(input.path(), { worker: path.join(__dirname, 'helpers/other-worker.js') }).cacheKey()).not.to.equal(workerKey);
+      expect(new WorkerFilter(input.path(), { worker: WORKER, workerOptions: { prefix: '' } }).cacheKey()).not.to.equal(workerKey);
+      expect(new WorkerFilter(input.path(), { worker: WORKER, workerOptions: { prefix: '' } }).cacheKey())
+        .not.to.equal(new WorkerFilter(input.path(), { worker: WORKER, workerOptions: { prefix: '// rot13\n' } }).cacheKey());
+    });
+
+    describe('with cache persistence', function() {
+      usePersistentCacheRoot('worker-tests');
+
+      it('does not start workers for cache hits', async function() {
+        let options = { worker: WORKER, workerOptions: { prefix: '' }, persist: true };
+        subject = new WorkerFilter(input.path(), options);
+        output = createBuilder(subject);
+        await output.build();
+        subject._workerPool.terminate();
+        await output.dispose();
+
+        subject = new WorkerFilter(input.path(), options);
+        output = createBuilder(subject);
+        await output.build();
+
+        expect(subject._workerPool).to.equal(null);
+        expect(output.readText('a.js')).to.equal('nop');
+      });
+    });
+  });
+
+  describe('concurrency', function() {
+    afterEach(function() {
+      delete process.env.JOBS;
+    });
+
+    it('sets concurrency using environment variable', function() {
+      process.env.JOBS = '12';
+      let filter = new MyFilter('.', {});
+      expect(filter.concurrency).to.equal(12);
+    });
+
+    it('sets concurrency using options.concurrency', function() {
+      process.env.JOBS = '12';
+      let filter = new MyFilter('.', { concurrency: 15 });
+      expect(filter.concurrency).to.equal(15);
+    });
+
+    describe('CPU detection', function() {
+      afterEach(function() {
+        os.cpus.restore();
+      });
+
+      it('should set to detected CPUs - 1', function() {
+        sinon.stub(os, 'cpus').callsFake(() => ['cpu0', 'cpu1', 'cpu2']);
+        let filter = new MyFilter('.', {});
+        expect(filter.concurrency).to.equal(2);
+      });
+
+      it('should have a min of 1', function() {
+        sinon.stub(os, 'cpus').callsFake(() => []);
+        let filter = new MyFilter('.', {});
+        expect(filter.concurrency).to.equal(1);
+      });
+    });
+  });
+
+  describe('buildReport', function() {
+    usePersistentCacheRoot();
+    let input, output, reportDir;
+
+    class Upcaser extends Filter {
+      processString(contents, relativePath) {
+        if (contents.includes('error')) {
+          throw new Error(`cannot process ${relativePath}`);
+        }
+        return contents === 'nothing' ? null : contents.toUpperCase();
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'a',
+        'b.js': 'nothing',
+        'c.txt': 'c',
+      });
+      reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-report-'));
+    });
+
+    afterEach(async function() {
+      delete process.env.BROCCOLI_PERSISTENT_FILTER_BUILD_REPORT;
+      rimraf(reportDir);
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
+      }
+    });
+
+    function readReport(file = 'report.json') {
+      return JSON.parse(fs.readFileSync(path.join(reportDir, file), 'utf8'));
+    }
+
+    function summarize(report) {
+      return report.files.map(file => [file.relativePath, file.reason, file.action, file.cache, file.outputSize]);
+    }
+
+    it('is not written by default', async function() {
+      output = createBuilder(new Upcaser(input.path(), { extensions: ['js'] }));
+      await output.build();
+      expect(fs.readdirSync(reportDir)).to.deep.equal([]);
+    });
+
+    it('describes what the build did with each file', async function() {
+      let subject = new Upcaser(input.path(), { extensions: ['js'], buildReport: path.join(reportDir, 'report.json') });
+      output = createBuilder(subject);
+      await output.build();
+
+      let report = readReport();
+      expect(report.plugin).to.equal(subject.toString());
+      expect(report.status).to.equal('success');
+      expect(new Date(report.startedAt).getTime()).to.be.closeTo(Date.now(), 60000);
+      expect(report.duration).to.be.a('number');
+      expect(report.derivePatches.patches).to.equal(3);
+      expect(report.applyPatches.processed).to.equal(2);
+      expect(report.applyPatches.linked).to.equal(1);
+      expect(report.files.every(file => typeof file.duration === 'number')).to.equal(true);
+      expect(summarize(report)).to.deep.equal([
+        ['a.js', 'created', 'processed', 'none', 1],
+        ['b.js', 'created', 'no-output', 'none', null],
+        ['c.txt', 'created', 'linked', null, 1],
+      ]);
+      expect(report.removed).to.deep.equal([]);
+
+      input.write({ 'a.js': 'aa', 'c.txt': null });
+      await output.build();
+      report = readReport();
+      expect(summarize(report)).to.deep.equal([
+        ['a.js', 'changed', 'processed', 'none', 2],
+      ]);
+      expect(report.removed).to.deep.equal(['c.txt']);
+
+      await output.build();
+      report = readReport();
+      expect(report.files).to.deep.equal([]);
+      expect(report.applyPatches).to.equal(null);
+    });
+
+    it('reports the persistent cache hits and misses', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      let reportPath = path.join(reportDir, 'report.json');
+      output = createBuilder(new Upcaser(input.path(), { extensions: ['js'], persist: true, cacheStore, buildReport: reportPath }));
+      await output.build();
+      expect(summarize(readReport()).map(file => file[3])).to.deep.equal(['miss', 'miss', null]);
+      await output.dispose();
+
+      output = createBuilder(new Upcaser(input.path(), { extensions: ['js'], persist: true, cacheStore, buildReport: reportPath }));
+      await output.build();
+      expect(summarize(readReport()).map(file => file[3])).to.deep.equal(['hit', 'hit', null]);
+    });
+
+    it('reports the files that were invalidated by a dependency', async function() {
+      input.write({
+        'has-inlines.js': `// << ./local.js\n`,
+        'local.js': `console.log('local');\n`,
+      });
+      output = createBuilder(new Inliner(input.path(), { buildReport: path.join(reportDir, 'report.json') }));
+      await output.build();
+
+      input.write({ 'local.js': `console.log('local changed');\n` });
+      await output.build();
+      expect(summarize(readReport()).map(file => file.slice(0, 2))).to.deep.equal([
+        ['has-inlines.js', 'dependency-invalidated'],
+        ['local.js', 'changed'],
+      ]);
+    });
+
+    it('reports the files that were forced to be processed again', async function() {
+      input.write({ 'a.js.map': JSON.stringify({ version: 3, sources: ['a.ts'], mappings: '' }) });
+      output = createBuilder(new Upcaser(input.path(), { extensions: ['js'], sourceMaps: true, buildReport: path.join(reportDir, 'report.json') }));
+      await output.build();
+
+      input.write({ 'a.js.map': JSON.stringify({ version: 3, sources: ['a.coffee'], mappings: '' }) });
+      await output.build();
+      expect(summarize(readReport()).find(file => file[0] === 'a.js').slice(0, 3)).to.deep.equal(['a.js', 'forced', 'processed']);
+    });
+
+    it('is written for failed builds', async function() {
+      input.write({ 'b.js': 'error' });
+      let subject = new Upcaser(input.path(), { extensions: ['js'], buildReport: path.join(reportDir, 'report.json') });
+      output = createBuilder(subject);
+      await expect(output.build()).to.be.rejectedWith(/cannot process b.js/);
+
+      let report = readReport();
+      expect(report.status).to.equal('error');
+      let failed = report.files.find(file => file.relativePath === 'b.js');
+      expect(failed.error).to.equal('cannot process b.js');
+
+      input.write({ 'b.js': 'b' });
+      await output.build();
+      report = readReport();
+      expect(report.status).to.equal('success');
+      expect(summarize(report).find(file => file[0] === 'b.js')).to.deep.equal(['b.js', 'created', 'processed', 'none', 1]);
+    });
+
+    it('is written to the directory BROCCOLI_PERSISTENT_FILTER_BUILD_REPORT is set to', async function() {
+      process.env.BROCCOLI_PERSISTENT_FILTER_BUILD_REPORT = reportDir;
+      output = createBuilder(new Upcaser(input.path(), { extensions: ['js'], annotation: 'upcase' }));
+      await output.build();
+
+      let files = fs.readdirSync(reportDir);
+      expect(files).to.have.length(1);
+      expect(files[0]).to.match(/^Upcaser-upcase-\d+\.build-report\.json$/);
+      expect(readReport(files[0]).files).to.have.length(3);
+    });
+  });
+
+  describe('trace', function() {
+    usePersistentCacheRoot();
+    let input, output, traceDir;
+
+    class SlowUpcaser extends Filter {
+      async processString(contents) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return contents.toUpperCase();
+      }
+
+      baseDir() {
+        return path.join(__dirname, '../');
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'a',
+        'b.js': 'b',
+        'c.js': 'c',
+        'd.js': 'd',
+        'e.txt': 'e',
+      });
+      traceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trace-'));
+    });
+
+    afterEach(async function() {
+      delete process.env.BROCCOLI_PERSISTENT_FILTER_TRACE;
+      rimraf(traceDir);
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
+      }
+    });
+
+    function readEvents(file = 'trace.json') {
+      return JSON.parse(fs.readFileSync(path.join(traceDir, file), 'utf8')).traceEvents;
+    }
+
+    function spans(events, name) {
+      return events.filter(event => event.ph === 'X' && event.name === name);
+    }
+
+    function overlap(a, b) {
+      return a.ts < b.ts + b.dur && b.ts < a.ts + a.dur;
+    }
+
+    it('records the serial work of the build in slot 0 and the files in slot 1', async function() {
+      let subject = new SlowUpcaser(input.path(), { extensions: ['js'], trace: path.join(traceDir, 'trace.json') });
+      output = createBuilder(subject);
+      await output.build();
+
+      let events = readEvents();
+      expect(events.find(event => event.name === 'process_name').args.name).to.equal(subject.toString());
+      expect(events.filter(event => event.name === 'thread_name').map(event => event.args.name)).to.deep.equal(['build', 'slot 1']);
+
+      let [build] = spans(events, 'build');
+      expect(build.tid).to.equal(0);
+      expect(build.args).to.deep.equal({ status: 'success' });
+      for (let name of ['derivePatches', 'applyPatches']) {
+        let [span] = spans(events, name);
+        expect(span.tid).to.equal(0);
+        expect(span.ts).to.be.at.least(build.ts);
+        expect(span.ts + span.dur).to.be.at.most(build.ts + build.dur);
+      }
+      expect(spans(events, 'derivePatches')[0].args.patches).to.equal(5);
+      expect(spans(events, 'applyPatches')[0].args.processed).to.equal(4);
+
+      let files = spans(events, 'handleFile');
+      expect(files.map(event => event.args.relativePath).sort()).to.deep.equal(['a.js', 'b.js', 'c.js', 'd.js', 'e.txt']);
+      expect(files.every(event => event.tid === 1)).to.equal(true);
+      expect(files.some(a => files.some(b => a !== b && overlap(a, b)))).to.equal(false);
+    });
+
+    it('records which concurrency slot handled each file in async mode', async function() {
+      output = createBuilder(new SlowUpcaser(input.path(), { extensions: ['js'], async: true, concurrency: 3, trace: path.join(traceDir, 'trace.json') }));
+      await output.build();
+
+      let files = spans(readEvents(), 'handleFile').filter(event => event.args.relativePath.endsWith('.js'));
+      let slots = files.map(event => event.tid);
+      expect(Math.min(...slots)).to.equal(1);
+      expect(Math.max(...slots)).to.equal(3);
+      for (let a of files) {
+        for (let b of files) {
+          if (a !== b && a.tid === b.tid) {
+            expect(overlap(a, b)).to.equal(false);
+          }
+        }
+      }
+    });
+
+    it('records the persistent cache reads and writes in the slot of the file', async function() {
+      let cacheStore = new Filter.MemoryCacheStore();
+      output = createBuilder(new SlowUpcaser(input.path(), { extensions: ['js'], async: true, concurrency: 2, persist: true, cacheStore, trace: path.join(traceDir, 'trace.json') }));
+      await output.build();
+
+      let events = readEvents();
+      let files = spans(events, 'handleFile');
+      expect(spans(events, 'cache.get')).to.have.length(4);
+      expect(spans(events, 'cache.set')).to.have.length(4);
+      for (let span of spans(events, 'cache.get').concat(spans(events, 'cache.set'))) {
+        expect(span.cat).to.equal('cache');
+        expect(span.args.key).to.be.a('string');
+        expect(files.some(file => file.tid === span.tid && file.ts <= span.ts && span.ts + span.dur <= file.ts + file.dur)).to.equal(true);
+      }
+    });
+
+    it('records the hashing of the dependencies', async function() {
+      input.write({
+        'has-inlines.js': `// << ./local.js\n`,
+        'local.js': `console.log('local');\n`,
+      });
+      output = createBuilder(new Inliner(input.path(), { trace: path.join(traceDir, 'trace.json') }));
+      await output.build();
+      await output.build();
+
+      let hashing = spans(readEvents(), 'hashDependencies');
+      expect(hashing.map(event => [event.tid, event.args.step])).to.deep.equal([
+        [0, 'getInvalidatedFiles'],
+      ]);
+
+      input.write({ 'local.js': `console.log('local changed');\n` });
+      await output.build();
+      hashing = spans(readEvents(), 'hashDependencies');
+      expect(hashing.map(event => [event.tid, event.args.step])).to.deep.equal([
+        [0, 'getInvalidatedFiles'],
+        [0, 'sealDependencies'],
+      ]);
+    });
+
+    it('is written for failed builds', async function() {
+      input.write({ 'b.js': 'error' });
+      class Failing extends SlowUpcaser {
+        async processString(contents, relativePath) {
+          if (contents === 'error') {
+            throw new Error(`cannot process ${relativePath}`);
+          }
+          return super.processString(contents);
+        }
+      }
+      output = createBuilder(new Failing(input.path(), { extensions: ['js'], trace: path.join(traceDir, 'trace.json') }));
+      await expect(output.build()).to.be.rejectedWith(/cannot process b.js/);
+      expect(spans(readEvents(), 'build')[0].args).to.deep.equal({ status: 'error' });
+    });
+
+    it('is written to the directory BROCCOLI_PERSISTENT_FILTER_TRACE is set to', async function() {
+      process.env.BROCCOLI_PERSISTENT_FILTER_TRACE = traceDir;
+      output = createBuilder(new SlowUpcaser(input.path(), { extensions: ['js'], annotation: 'upcase' }));
+      await output.build();
+
+      let files = fs.readdirSync(traceDir);
+      expect(files).to.have.length(1);
+      expect(files[0]).to.match(/^SlowUpcaser-upcase-\d+\.trace\.json$/);
+      expect(spans(readEvents(files[0]), 'handleFile')).to.have.length(5);
+    });
+  });
+
+  describe('explain', function() {
+    usePersistentCacheRoot('explain-tests');
+    let input, output;
+
+    class Upcaser extends Filter {
+      constructor(inputTree, options = {}) {
+        super(inputTree, Object.assign({ extensions: ['js'], explain: true, annotation: 'explained' }, options));
+        this.salt = options.salt || '';
+        this.bucket = options.bucket || '';
+      }
+
+      processString(contents, relativePath) {
+        if (contents.includes('error')) {
+          throw new Error(`cannot process ${relativePath}`);
+        }
+        return contents.toUpperCase();
+      }
+
+      cacheKeyProcessString(contents, relativePath) {
+        return super.cacheKeyProcessString(contents + this.salt, relativePath);
+      }
+
+      cacheKey() {
+        return 'explain-test' + this.bucket;
+      }
+    }
+
+    beforeEach(async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': 'a',
+        'b.js': 'b',
+        'c.txt': 'c',
+      });
+    });
+
+    afterEach(async function() {
+      await input.dispose();
+      if (output) {
+        await output.dispose();
+        output = undefined;
+      }
+    });
+
+    function reasons(subject) {
+      return subject.explanations().map(explanation => [explanation.relativePath, explanation.reason]);
+    }
+
+    it('records nothing unless enabled', async function() {
+      let subject = new Upcaser(input.path(), { explain: false });
+      output = createBuilder(subject);
+      await output.build();
+      expect(subject.explanations()).to.deep.equal([]);
+    });
 
-    it('should work if `processString` returns a Promise', async function() {
-      input.write({
-        'foo.js': 'a promise is a promise'
-      });
+    it('explains why the files of each build were processed', async function() {
+      let subject = new Upcaser(input.path());
+      output = createBuilder(subject);
+      await output.build();
+      expect(reasons(subject)).to.deep.equal([['a.js', 'new-file'], ['b.js', 'new-file']]);
 
+      input.write({ 'a.js': 'aa' });
       await output.build();
+      expect(reasons(subject)).to.deep.equal([['a.js', 'content-changed']]);
 
-      expect(output.read()['foo.js']).to.equal('a promise is a promise');
+      await output.build();
+      expect(reasons(subject)).to.deep.equal([]);
     });
 
-    it('does not effect the current cwd', async function() {
+    it('explains which dependencies changed', async function() {
       input.write({
-        'a': {
-          'foo.js': 'Nicest dogs in need of homes'
-        }
+        'has-inlines.js': `// << ./local.js\n`,
+        'local.js': `console.log('local');\n`,
       });
-
+      let subject = new Inliner(input.path(), { explain: true });
+      output = createBuilder(subject);
       await output.build();
 
-      let cwd = process.cwd();
-      let a = path.join(cwd, 'a');
+      input.write({ 'local.js': `console.log('local changed');\n` });
+      await output.build();
+      expect(subject.explanations()).to.deep.equal([
+        { relativePath: 'has-inlines.js', reason: 'dependency-changed', dependencies: ['local.js'] },
+        { relativePath: 'local.js', reason: 'content-changed' },
+      ]);
+    });
 
-      expect(fs.mkdirSync.calledWith(a, 493)).to.eql(false);
-      expect(fs.mkdirSync.calledWith(path.join(a, 'bar'), 493)).to.eql(false);
+    it('explains that the output was rebuilt after a failed build', async function() {
+      let subject = new Upcaser(input.path());
+      output = createBuilder(subject);
+      await output.build();
 
-      expect(fs.writeFileSync.calledWith(path.join(cwd, 'a', 'foo.js'),
-        'Nicest dogs in need of homes')).to.eql(false);
+      sinon.stub(subject.processor, 'afterBuild').onFirstCall().throws(new Error('afterBuild failed'));
+      input.write({ 'a.js': 'aa' });
+      await expect(output.build()).to.be.rejectedWith(/afterBuild failed/);
+      await output.build();
+      expect(reasons(subject)).to.deep.equal([['a.js', 'reset'], ['b.js', 'reset']]);
+    });
 
+    it('explains files that are retried after a failed build', async function() {
+      input.write({ 'has-inlines.js': '// << ./dep.txt\n', 'dep.txt': 'v1' });
+      let subject = new Inliner(input.path(), { explain: true });
+      output = createBuilder(subject);
       await output.build();
 
-      expect(fs.writeFileSync.calledWith(path.join(cwd, 'a', 'foo.js'),
-        'Nicest dogs in need of homes')).to.eql(false);
+      input.write({ 'dep.txt': 'v2' });
+      let failed = false;
+      sinon.stub(subject, 'processString').callsFake(function(contents, relativePath) {
+        if (!failed && relativePath === 'has-inlines.js') {
+          failed = true;
+          throw new Error(`cannot process ${relativePath}`);
+        }
+        return Inliner.prototype.processString.call(this, contents, relativePath);
+      });
+      await expect(output.build()).to.be.rejectedWith(/cannot process has-inlines.js/);
+
+      await output.build();
+      expect(reasons(subject)).to.deep.equal([['dep.txt', 'content-changed'], ['has-inlines.js', 'reset']]);
     });
 
-    it('does not accidentally write to symlinks it created', async function() {
-      class Coffee extends Filter {
-        processString(content) {
-          return content;
-        }
-      }
-      Coffee.prototype.extensions = ['coffee'];
-      Coffee.prototype.targetExtension = 'js';
-      subject = new Coffee(input.path(), { async:true });
+    it('logs the explanations', async function() {
+      let subject = new Upcaser(input.path());
+      let info = sinon.spy(subject._logger, 'info');
+      output = createBuilder(subject);
+      await output.build();
+      expect(info).to.have.been.calledWith('[explain] %s: %s', 'a.js', 'new-file');
+    });
 
-      const ORIGINAL_FOO_JS = `console.log(\'Hello, World!\')`;
+    describe('with the persistent cache', function() {
+      let stores;
 
-      input.write({
-        'foo.js': ORIGINAL_FOO_JS
+      beforeEach(function() {
+        stores = new Map();
       });
 
-      output = createBuilder(subject);
+      function createSubject(options) {
+        let cacheStore = bucket => {
+          if (!stores.has(bucket)) {
+            stores.set(bucket, new Filter.MemoryCacheStore());
+          }
+          return stores.get(bucket);
+        };
+        return new Upcaser(input.path(), Object.assign({ persist: true, cacheStore }, options));
+      }
 
-      await output.build();
+      async function buildAgain(options) {
+        await output.dispose();
+        let subject = createSubject(options);
+        output = createBuilder(subject);
+        await output.build();
+        return subject;
+      }
 
-      expect(output.read()).to.eql({
-        'foo.js': ORIGINAL_FOO_JS
+      it('explains nothing for files that are read from the cache', async function() {
+        output = createBuilder(createSubject());
+        await output.build();
+        let subject = await buildAgain();
+        expect(subject.explanations()).to.deep.equal([]);
       });
 
-      input.write({
-        'foo.coffee': '\'coffee source\''
+      it('explains misses by content changes since the previous process', async function() {
+        output = createBuilder(createSubject());
+        await output.build();
+        input.write({ 'a.js': 'aa' });
+        let subject = await buildAgain();
+        expect(reasons(subject)).to.deep.equal([['a.js', 'content-changed']]);
       });
 
-      await output.build();
+      it('explains misses by a change of cacheKeyProcessString', async function() {
+        let subject = createSubject();
+        output = createBuilder(subject);
+        await output.build();
+        subject = await buildAgain({ salt: 'salted' });
+
+        let [a, b] = subject.explanations();
+        expect(a.relativePath).to.equal('a.js');
+        expect(a.reason).to.equal('cache-key-changed');
+        expect(a.previousKey).to.equal(createSubject().cacheKeyProcessString('a', 'a.js'));
+        expect(a.key).to.equal(subject.cacheKeyProcessString('a', 'a.js'));
+        expect(b.reason).to.equal('cache-key-changed');
+      });
 
-      expect(output.read()).to.eql({
-        'foo.js': '\'coffee source\''
+      it('explains misses by a change of the bucket', async function() {
+        output = createBuilder(createSubject());
+        await output.build();
+        let subject = await buildAgain({ bucket: '-v2' });
+        expect(subject.explanations()).to.deep.equal([
+          { relativePath: 'a.js', reason: 'bucket-changed', previousKey: 'explain-test', key: 'explain-test-v2' },
+          { relativePath: 'b.js', reason: 'bucket-changed', previousKey: 'explain-test', key: 'explain-test-v2' },
+        ]);
       });
-      expect(input.read()['foo.js']).to.eql(ORIGINAL_FOO_JS);
-    });
-  });
 
-  describe('concurrency', function() {
-    afterEach(function() {
-      delete process.env.JOBS;
-    });
+      it('explains misses of entries that are gone', async function() {
+        output = createBuilder(createSubject());
+        await output.build();
+        stores.clear();
+        let subject = await buildAgain();
+        expect(reasons(subject)).to.deep.equal([['a.js', 'cache-evicted'], ['b.js', 'cache-evicted']]);
+      });
 
-    it('sets concurrency using environment variable', function() {
-      process.env.JOBS = '12';
-      let filter = new MyFilter('.', {});
-      expect(filter.concurrency).to.equal(12);
-    });
+      it('keeps the lookups of filters with different inputs apart', async function() {
+        let otherInput = await createTempDir();
+        try {
+          otherInput.write({ 'a.js': 'x', 'b.js': 'b' });
+          output = createBuilder(createSubject());
+          await output.build();
+          let otherOutput = createBuilder(new Upcaser(otherInput.path(), { persist: true, cacheStore: new Filter.MemoryCacheStore() }));
+          await otherOutput.build();
+          await otherOutput.dispose();
+
+          stores.clear();
+          let subject = await buildAgain();
+          expect(reasons(subject)).to.deep.equal([['a.js', 'cache-evicted'], ['b.js', 'cache-evicted']]);
+        } finally {
+          await otherInput.dispose();
+        }
+      });
 
-    it('sets concurrency using options.concurrency', function() {
-      process.env.JOBS = '12';
-      let filter = new MyFilter('.', { concurrency: 15 });
-      expect(filter.concurrency).to.equal(15);
-    });
+      function withLogger(subject, warn) {
+        subject._logger = { info() {}, debug() {}, warn };
+        return subject;
+      }
 
-    describe('CPU detection', function() {
-      afterEach(function() {
-        os.cpus.restore();
+      it('warns when filters that cannot be told apart overwrite their lookups', async function() {
+        let warn = sinon.spy();
+        output = createBuilder(withLogger(createSubject(), warn));
+        let otherOutput = createBuilder(withLogger(createSubject(), warn));
+        await output.build();
+        await otherOutput.build();
+        expect(warn).not.to.have.been.called;
+
+        input.write({ 'a.js': 'aa' });
+        await output.build();
+        await otherOutput.build();
+        input.write({ 'a.js': 'aaa' });
+        await output.build();
+        await otherOutput.build();
+        await otherOutput.dispose();
+        expect(warn).to.have.been.calledTwice;
+        expect(warn.firstCall.args[0]).to.match(/\[Upcaser: explained\] can't be told apart from another plugin/);
       });
 
-      it('should set to detected CPUs - 1', function() {
-        sinon.stub(os, 'cpus').callsFake(() => ['cpu0', 'cpu1', 'cpu2']);
-        let filter = new MyFilter('.', {});
-        expect(filter.concurrency).to.equal(2);
+      it('does not warn when a filter replaces another', async function() {
+        let warn = sinon.spy();
+        output = createBuilder(withLogger(createSubject(), warn));
+        await output.build();
+        await output.dispose();
+        output = createBuilder(withLogger(createSubject(), warn));
+        await output.build();
+        input.write({ 'a.js': 'aa' });
+        await output.build();
+        input.write({ 'a.js': 'aaa' });
+        await output.build();
+        expect(warn).not.to.have.been.called;
       });
 
-      it('should have a min of 1', function() {
-        sinon.stub(os, 'cpus').callsFake(() => []);
-        let filter = new MyFilter('.', {});
-        expect(filter.concurrency).to.equal(1);
+      it('explains files that changed after failing to process', async function() {
+        input.write({ 'b.js': 'error' });
+        let subject = createSubject();
+        output = createBuilder(subject);
+        await expect(output.build()).to.be.rejectedWith(/cannot process b.js/);
+
+        input.write({ 'b.js': 'b' });
+        await output.build();
+        expect(reasons(subject)).to.deep.equal([['b.js', 'new-file']]);
       });
     });
   });
@@ -1431,21 +3863,264 @@ describe('Filter', function() {
         `console.log('external changed');\n`
       );
     });
-    describe('and with cache persistence', function () {
-      const hasCIValue = ('CI' in process.env);
-      const CI_VALUE = process.env.CI;
 
-      beforeEach(function() {
-        delete process.env.CI;
+    it('only calls processString when the content of an external dependency changes with externalDependencyTracking', async function() {
+      input = await createTempDir();
+      input.write({
+        'dep-tracking': {
+          'has-inlines.js': `// << ${input.path('external-deps/external.js')}\n`,
+        },
+        'external-deps': {
+          'external.js': `console.log('external');\n`
+        }
+      });
+
+      subject = new Inliner(path.join(input.path(), 'dep-tracking'), { externalDependencyTracking: 'hybrid' });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+
+      await output.build();
+      expect(subject.processString.callCount).to.equal(1);
+      subject.processString.resetHistory();
+
+      let later = new Date(Date.now() + 10000);
+      fs.utimesSync(input.path('external-deps/external.js'), later, later);
+      await output.build();
+      expect(subject.processString.callCount).to.equal(0);
+
+      input.write({
+        'external-deps': {
+          'external.js': `console.log('external changed');\n`
+        }
+      });
+      await output.build();
+      expect(subject.processString.callCount).to.equal(1);
+      expect(output.readText('has-inlines.js')).to.equal(`console.log('external changed');\n`);
+    });
+
+    it('calls processString for the dependents of reprocessed files with transitiveDependencyInvalidation', async function() {
+      input = await createTempDir();
+      input.write({
+        'a.js': `// << ./b.js\n`,
+        'b.js': `// << ./c.js\n`,
+        'c.js': `console.log('c');\n`,
+      });
+
+      subject = new Inliner(input.path(), { transitiveDependencyInvalidation: true });
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+
+      await output.build();
+      subject.processString.resetHistory();
+
+      input.write({ 'c.js': `console.log('c changed');\n` });
+      await output.build();
+      expect(subject.processString.args.map(args => args[1]).sort()).to.deep.equal(['a.js', 'b.js', 'c.js']);
+    });
+
+    describe('watchExternalDependencies', function() {
+      /**
+       * Resolves once `predicate` is true, checking every 10ms.
+       */
+      async function waitFor(predicate) {
+        for (let i = 0; i < 200 && !predicate(); i++) {
+          await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(predicate()).to.equal(true);
+      }
+
+      beforeEach(async function() {
+        input = await createTempDir();
+        input.write({
+          'dep-tracking': {
+            'has-inlines.js': `// << ${input.path('external-deps/external.js')}\n`,
+          },
+          'external-deps': {
+            'external.js': `console.log('external');\n`,
+            'unrelated.js': `console.log('unrelated');\n`,
+          }
+        });
+      });
+
+      afterEach(function() {
+        if (subject._externalDependencyWatcher) {
+          subject._externalDependencyWatcher.close();
+        }
+      });
+
+      it('is not watched by default', async function() {
+        subject = new Inliner(input.path('dep-tracking'));
+        output = createBuilder(subject);
+        await output.build();
+        expect(output.builder.watchedPaths).to.deep.equal([input.path('dep-tracking')]);
+        expect(subject._externalDependencyWatcher).to.equal(null);
+      });
+
+      it('rebuilds when an external dependency changes', async function() {
+        subject = new Inliner(input.path('dep-tracking'), { watchExternalDependencies: true });
+        sinon.spy(subject, 'processString');
+        output = createBuilder(subject);
+        let watcher = subject._externalDependencyWatcher;
+        let trigger = path.join(watcher.directory, '.broccoli-persistent-filter-external-dependencies');
+        expect(output.builder.watchedPaths).to.deep.equal([input.path('dep-tracking'), watcher.directory]);
+
+        await output.build();
+        expect(output.read()).to.deep.equal({
+          'has-inlines.js': `console.log('external');\n`,
+        });
+        expect(watcher.watchedDirectories).to.deep.equal([input.path('external-deps')]);
+        subject.processString.resetHistory();
+
+        input.write({ 'external-deps': { 'unrelated.js': `console.log('unrelated changed');\n` } });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(fs.readFileSync(trigger, 'utf8')).to.equal('');
+
+        input.write({ 'external-deps': { 'external.js': `console.log('external changed');\n` } });
+        await waitFor(() => fs.readFileSync(trigger, 'utf8') !== '');
+
+        await output.build();
+        expect(subject.processString.callCount).to.equal(1);
+        expect(output.read()).to.deep.equal({
+          'has-inlines.js': `console.log('external changed');\n`,
+        });
+      });
+    });
+
+    describe('dependency graph', function() {
+      let graphDir;
+
+      beforeEach(async function() {
+        input = await createTempDir();
+        input.write({
+          'has-inlines.js': `// << ./local.js\n`,
+          'local.js': `console.log('local');\n`,
+        });
+        graphDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dependency-graph-'));
       });
 
       afterEach(function() {
-        if (hasCIValue) {
-          process.env.CI = CI_VALUE;
-        } else{
-          delete process.env.CI;
+        delete process.env.BROCCOLI_PERSISTENT_FILTER_DEPENDENCY_GRAPH;
+        rimraf(graphDir);
+      });
+
+      it('is null without dependencyInvalidation', async function() {
+        subject = new Rot13Filter(input.path());
+        output = createBuilder(subject);
+        await output.build();
+        expect(subject.dependencyGraph()).to.equal(null);
+        expect(subject.writeDependencyGraph(path.join(graphDir, 'graph'))).to.equal(false);
+        expect(fs.readdirSync(graphDir)).to.deep.equal([]);
+      });
+
+      it('describes the dependencies after a build', async function() {
+        subject = new Inliner(input.path());
+        output = createBuilder(subject);
+        await output.build();
+
+        let graph = subject.dependencyGraph();
+        expect(graph.dependencies['has-inlines.js']).to.deep.equal(['local.js']);
+        expect(graph.dependents['local.js']).to.deep.equal(['has-inlines.js']);
+        expect(graph.nodes['local.js'].state.type).to.equal('hash');
+
+        expect(subject.writeDependencyGraph(path.join(graphDir, 'nested', 'graph'))).to.equal(true);
+        expect(JSON.parse(fs.readFileSync(path.join(graphDir, 'nested', 'graph.json'), 'utf8'))).to.deep.equal(graph);
+        expect(fs.readFileSync(path.join(graphDir, 'nested', 'graph.dot'), 'utf8')).to.contain('"has-inlines.js" -> "local.js";');
+      });
+
+      it('is written after each build when BROCCOLI_PERSISTENT_FILTER_DEPENDENCY_GRAPH is set', async function() {
+        process.env.BROCCOLI_PERSISTENT_FILTER_DEPENDENCY_GRAPH = graphDir;
+        subject = new Inliner(input.path(), { annotation: 'inline js' });
+        output = createBuilder(subject);
+        await output.build();
+
+        let files = fs.readdirSync(graphDir).sort();
+        expect(files).to.have.length(2);
+        expect(files[0]).to.match(/^Inliner-inline-js-\d+\.dot$/);
+        expect(files[1]).to.equal(files[0].replace(/\.dot$/, '.json'));
+
+        input.write({ 'has-inlines.js': `console.log('no inlines');\n` });
+        await output.build();
+        expect(fs.readdirSync(graphDir).sort()).to.deep.equal(files);
+        let graph = JSON.parse(fs.readFileSync(path.join(graphDir, files[1]), 'utf8'));
+        expect(graph.dependencies['has-inlines.js']).to.deep.equal([]);
+      });
+    });
+
+    it('calls processString when files matching a directory dependency come and go', async function() {
+      class Index extends Filter {
+        constructor(inputTree) {
+          super(inputTree, { dependencyInvalidation: true });
+        }
+
+        processString(contents, relativePath) {
+          if (relativePath !== 'index.txt') {
+            return contents;
+          }
+          this.dependencies.setDependencies(relativePath, ['components/']);
+          return this.input.readdirSync('components').sort().join('\n');
+        }
+      }
+
+      input = await createTempDir();
+      input.write({
+        'index.txt': '',
+        'other.txt': '',
+        components: {
+          'a.txt': 'a',
+        },
+      });
+      subject = new Index(input.path());
+      sinon.spy(subject, 'processString');
+      output = createBuilder(subject);
+
+      await output.build();
+      expect(output.readText('index.txt')).to.equal('a.txt');
+      subject.processString.resetHistory();
+
+      input.write({ components: { 'b.txt': 'b' } });
+      await output.build();
+      expect(output.readText('index.txt')).to.equal('a.txt\nb.txt');
+      expect(subject.processString.args.map(args => args[1]).sort()).to.deep.equal(['components/b.txt', 'index.txt']);
+      subject.processString.resetHistory();
+
+      input.write({ components: { 'a.txt': null } });
+      await output.build();
+      expect(output.readText('index.txt')).to.equal('b.txt');
+      expect(subject.processString.args.map(args => args[1])).to.deep.equal(['index.txt']);
+    });
+
+    it('calls processString when a missing dependency appears', async function() {
+      class Resolver extends Filter {
+        constructor(inputTree) {
+          super(inputTree, { dependencyInvalidation: true, extensions: ['txt'] });
+        }
+
+        processString(contents, relativePath) {
+          let candidates = [`${contents}.ts`, `${contents}.js`];
+          let index = candidates.findIndex(candidate => this.input.existsSync(candidate));
+          this.dependencies.setDependencies(relativePath, candidates.slice(index, index + 1), candidates.slice(0, index));
+          return `resolved to ${candidates[index]}`;
         }
+      }
+
+      input = await createTempDir();
+      input.write({
+        'main.txt': 'foo',
+        'foo.js': '',
       });
+      subject = new Resolver(input.path());
+      output = createBuilder(subject);
+
+      await output.build();
+      expect(output.readText('main.txt')).to.equal('resolved to foo.js');
+
+      input.write({ 'foo.ts': '' });
+      await output.build();
+      expect(output.readText('main.txt')).to.equal('resolved to foo.ts');
+    });
+
+    describe('and with cache persistence', function () {
+      usePersistentCacheRoot();
 
       it('calls processString if work is needed', async function() {
         input = await createTempDir();
@@ -0,0 +1,57 @@
+'use strict';
+
+const http = require('http');
+
+/**
+ * A minimal stand-in for a key/value cache server, implementing the protocol
+ * expected by `HttpCacheStore`. Entries are kept in `server.entries`, keyed by
+ * request path.
+ *
+ * @returns {Promise<http.Server & { url: string, entries: Map<string, string>, requests: Array<string> }>}
+ */
+module.exports = async function startServer() {
+  const entries = new Map();
+  const requests = [];
+
+  const server = http.createServer((request, response) => {
+    let key = request.url;
+    let chunks = [];
+    requests.push(`${request.method} ${key}`);
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      if (server.failWith) {
+        response.statusCode = server.failWith;
+      } else if (request.method === 'GET' || request.method === 'HEAD') {
+        if (entries.has(key)) {
+          response.statusCode = 200;
+          if (request.method === 'GET') {
+            response.write(entries.get(key));
+          }
+        } else {
+          response.statusCode = 404;
+        }
+      } else if (request.method === 'PUT') {
+        entries.set(key, Buffer.concat(chunks).toString('utf8'));
+        response.statusCode = 204;
+      } else if (request.method === 'DELETE') {
+        for (let entry of Array.from(entries.keys())) {
+          if (key.endsWith('/') ? entry.startsWith(key) : entry === key) {
+            entries.delete(entry);
+          }
+        }
+        response.statusCode = 204;
+      } else {
+        response.statusCode = 405;
+      }
+      response.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  server.url = `http://127.0.0.1:${server.address().port}`;
+  server.entries = entries;
+  server.requests = requests;
+  server.failWith = undefined;
+  return server;
+};
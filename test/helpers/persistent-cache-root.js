@@ -0,0 +1,48 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf').sync;
+
+const CACHE_ROOT = 'BROCCOLI_PERSISTENT_FILTER_CACHE_ROOT';
+
+function restore(name, value) {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+}
+
+/**
+ * Enables the persistent cache, which is disabled on CI, for the tests of the
+ * enclosing `describe`, and restores the environment after each of them. With
+ * a `name`, the cache is kept in a directory of that name in the temporary
+ * directory, which is removed before and after each test.
+ *
+ * @param {string} [name]
+ * @returns {string | undefined} the path of the cache directory.
+ */
+module.exports = function usePersistentCacheRoot(name) {
+  let cacheRoot = name === undefined ? undefined : path.join(os.tmpdir(), name);
+  let saved;
+
+  beforeEach(function() {
+    saved = { CI: process.env.CI, [CACHE_ROOT]: process.env[CACHE_ROOT] };
+    delete process.env.CI;
+    if (cacheRoot !== undefined) {
+      process.env[CACHE_ROOT] = cacheRoot;
+      rimraf(cacheRoot);
+    }
+  });
+
+  afterEach(function() {
+    if (cacheRoot !== undefined) {
+      rimraf(cacheRoot);
+    }
+    restore('CI', saved.CI);
+    restore(CACHE_ROOT, saved[CACHE_ROOT]);
+  });
+
+  return cacheRoot;
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+const { threadId, workerData } = require('worker_threads');
+
+module.exports = {
+  processString(content, relativePath) {
+    if (content.includes('syntax error')) {
+      let error = new Error(`${relativePath} could not be parsed`);
+      error.line = 2;
+      error.column = 4;
+      throw error;
+    }
+    let output = content.replace(/[a-zA-Z]/g, (c) => {
+      return String.fromCharCode((c <= 'Z' ? 90 : 122) >= (c = c.charCodeAt(0) + 13) ? c : c - 26);
+    });
+    return {
+      output: workerData.options.prefix + output,
+      threadId
+    };
+  }
+};
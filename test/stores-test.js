@@ -0,0 +1,165 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf').sync;
+
+chai.use(chaiAsPromised);
+
+const Filter = require('..');
+const startServer = require('./helpers/kv-server');
+
+const { DiskCacheStore, MemoryCacheStore, HttpCacheStore } = Filter;
+
+describe('cache stores', function() {
+  let server;
+
+  before(async function() {
+    server = await startServer();
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  const stores = {
+    DiskCacheStore: {
+      create() {
+        this.location = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-test-'));
+        return new DiskCacheStore('bucket', { location: this.location });
+      },
+      dispose() {
+        rimraf(this.location);
+      }
+    },
+    MemoryCacheStore: {
+      create() {
+        return new MemoryCacheStore();
+      },
+      dispose() {}
+    },
+    HttpCacheStore: {
+      create() {
+        return new HttpCacheStore({ url: `${server.url}/bucket` });
+      },
+      dispose() {
+        server.entries.clear();
+      }
+    }
+  };
+
+  for (let name of Object.keys(stores)) {
+    describe(name, function() {
+      let store;
+
+      beforeEach(function() {
+        store = stores[name].create();
+      });
+
+      afterEach(function() {
+        stores[name].dispose();
+      });
+
+      it('gets what was set', async function() {
+        expect(await store.get('a')).to.be.undefined;
+        expect(await store.has('a')).to.equal(false);
+
+        await store.set('a', '{"output":"a"}');
+
+        expect(await store.get('a')).to.equal('{"output":"a"}');
+        expect(await store.has('a')).to.equal(true);
+      });
+
+      it('overwrites entries', async function() {
+        await store.set('a', 'first');
+        await store.set('a', 'second');
+
+        expect(await store.get('a')).to.equal('second');
+      });
+
+      it('deletes entries', async function() {
+        await store.set('a', 'a');
+        await store.set('b', 'b');
+        await store.delete('a');
+        await store.delete('missing');
+
+        expect(await store.has('a')).to.equal(false);
+        expect(await store.get('b')).to.equal('b');
+      });
+
+      it('clears all entries', async function() {
+        await store.set('a', 'a');
+        await store.set('b', 'b');
+        await store.clear();
+
+        expect(await store.has('a')).to.equal(false);
+        expect(await store.has('b')).to.equal(false);
+      });
+
+      it('round trips non-ascii values', async function() {
+        await store.set('unicode', '{"output":"héllo 🐶"}');
+
+        expect(await store.get('unicode')).to.equal('{"output":"héllo 🐶"}');
+      });
+    });
+  }
+
+  describe('HttpCacheStore', function() {
+    afterEach(function() {
+      server.entries.clear();
+      server.failWith = undefined;
+    });
+
+    it('requires a url', function() {
+      expect(() => new HttpCacheStore({})).to.throw(TypeError, /requires a `url` option/);
+    });
+
+    it('stores entries at <url>/<key>', async function() {
+      let store = new HttpCacheStore({ url: `${server.url}/some/bucket/` });
+      await store.set('a/b', 'value');
+
+      expect(Array.from(server.entries.keys())).to.deep.equal(['/some/bucket/a%2Fb']);
+    });
+
+    it('only clears its own bucket', async function() {
+      let a = new HttpCacheStore({ url: `${server.url}/a` });
+      let b = new HttpCacheStore({ url: `${server.url}/b` });
+      await a.set('key', 'a');
+      await b.set('key', 'b');
+      await a.clear();
+
+      expect(await a.has('key')).to.equal(false);
+      expect(await b.get('key')).to.equal('b');
+    });
+
+    it('sends the configured headers', async function() {
+      let headers;
+      server.once('request', request => headers = request.headers);
+      let store = new HttpCacheStore({ url: server.url, headers: { authorization: 'Bearer token' } });
+      await store.get('a');
+
+      expect(headers.authorization).to.equal('Bearer token');
+    });
+
+    it('rejects on unexpected responses', async function() {
+      server.failWith = 500;
+      let store = new HttpCacheStore({ url: server.url });
+
+      await expect(store.get('a')).to.be.rejectedWith(/GET .*\/a responded with status 500/);
+      await expect(store.set('a', 'a')).to.be.rejectedWith(/PUT .*\/a responded with status 500/);
+    });
+
+    it('rejects when the server is unreachable', async function() {
+      let unreachable = await startServer();
+      let url = unreachable.url;
+      await new Promise(resolve => unreachable.close(resolve));
+      let store = new HttpCacheStore({ url });
+
+      await expect(store.get('a')).to.be.rejectedWith(/HttpCacheStore: GET .* failed/);
+    });
+  });
+});
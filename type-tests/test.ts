@@ -59,3 +59,206 @@ class MyPostProcessingFilter extends Filter {
     }
   }
 }
+
+// Producing additional output files:
+
+class Transpiler extends Filter {
+  processString(contents: string, relativePath: string): Filter.ProcessStringResult {
+    return {
+      output: contents,
+      outputFiles: {
+        [`${relativePath}.map`]: '{}',
+      },
+    };
+  }
+}
+
+// Using source maps:
+
+class Minifier extends Filter {
+  processString(contents: string, relativePath: string, inputSourceMap?: Filter.InputSourceMap): Filter.ProcessStringResult {
+    return {
+      output: contents,
+      map: inputSourceMap || { version: 3, sources: [relativePath], mappings: '' },
+    };
+  }
+}
+
+// Processing binary files:
+
+class ImageOptimizer extends Filter {
+  processBuffer(contents: Buffer, relativePath: string): Filter.ProcessBufferResult {
+    return {
+      output: contents,
+      outputFiles: {
+        [`${relativePath}.webp`]: contents,
+      },
+    };
+  }
+}
+
+// Processing in worker threads:
+
+class WorkerTranspiler extends Filter {
+  constructor(inputNode: string) {
+    super(inputNode, {
+      worker: '/path/to/transpile-worker.js',
+      workerOptions: { presets: [] },
+    });
+  }
+}
+
+// Using a shared cache server:
+
+class SharedCacheTranspiler extends Filter {
+  constructor(inputNode: string) {
+    super(inputNode, {
+      persist: true,
+      cacheStore: (cacheKey: string) => new Filter.HttpCacheStore({ url: `http://localhost:4000/${cacheKey}` }),
+    });
+  }
+}
+
+const entries = new Map<string, string>();
+const customStore: Filter.CacheStore = {
+  get: (key: string) => entries.get(key),
+  set: (key: string, value: string) => { entries.set(key, value); },
+  delete: (key: string) => { entries.delete(key); },
+  has: (key: string) => entries.has(key),
+  clear: () => entries.clear(),
+};
+
+// Reporting diagnostics:
+
+class Linter extends Filter {
+  processString(contents: string): Filter.ProcessStringResult {
+    return {
+      output: contents,
+      diagnostics: [{ message: 'Unexpected var', severity: 'warning', line: 1, column: 1 }],
+    };
+  }
+}
+
+const diagnostics: Filter.Diagnostic[] = new Linter('lib', {}).getDiagnostics();
+
+// Selecting files with globs:
+
+class TemplateCompiler extends Filter {
+  constructor(inputNode: string) {
+    super(inputNode, {
+      include: ['app/**/*.hbs'],
+      exclude: 'app/vendor/**',
+      extensions: ['hbs'],
+      targetExtension: 'js',
+    });
+  }
+}
+
+// Mapping source extensions to output extensions:
+
+class TypeScriptCompiler extends Filter {
+  constructor(inputNode: string) {
+    super(inputNode, {
+      targetExtension: { ts: 'js', tsx: 'js', mts: 'mjs', 'd.ts': 'd.ts' },
+    });
+  }
+}
+
+// Resolving output collisions:
+
+class PreferProcessed extends Filter {
+  constructor(inputNode: string) {
+    super(inputNode, {
+      extensions: ['ts'],
+      targetExtension: 'js',
+      outputCollisions: 'prefer-processed',
+    });
+  }
+}
+
+class FirstSourceWins extends Filter {
+  resolveOutputCollision(collision: Filter.OutputCollision): string | null {
+    return collision.sources[0];
+  }
+}
+
+function describeError(error: Filter.OutputCollisionError): string[] {
+  return error.collisions.map(collision => collision.outputPaths.join(', '));
+}
+
+// Handling the files that are not processed:
+
+class CopyUnprocessed extends Filter {
+  constructor(inputNode: string) {
+    super(inputNode, { extensions: ['js'], passthrough: 'copy' });
+  }
+
+  getPassthroughMode(relativePath: string): Filter.Passthrough {
+    return relativePath.endsWith('.map') ? 'drop' : this.passthrough;
+  }
+}
+
+// Producing no output:
+
+class InternalStripper extends Filter {
+  processString(contents: string, relativePath: string): string | null {
+    return contents.includes('@internal') ? null : contents;
+  }
+
+  postProcess(result: Filter.ProcessStringResult, relativePath: string): Filter.ProcessStringResult | null {
+    return result.output.trim() === '' ? null : result;
+  }
+}
+
+// Tracking dependencies outside the input tree by content:
+
+class ConfigAwareCompiler extends Filter {
+  constructor(inputNode: string, externalDependencyTracking: Filter.ExternalDependencyTracking = 'hybrid') {
+    super(inputNode, {
+      extensions: ['js'],
+      dependencyInvalidation: true,
+      externalDependencyTracking,
+      transitiveDependencyInvalidation: true,
+      watchExternalDependencies: true,
+    });
+  }
+
+  processString(contents: string, relativePath: string) {
+    const dependencies: Filter.Dependency[] = ['/etc/compiler.json', '/etc/compiler.d/', { glob: '/etc/plugins/*.json' }];
+    this.dependencies!.setDependencies(relativePath, dependencies);
+    return contents;
+  }
+}
+
+function dumpDependencies(filter: ConfigAwareCompiler) {
+  const graph: Filter.DependencyGraph | null = filter.dependencyGraph();
+  if (graph) {
+    const node: Filter.DependencyGraphNode = graph.nodes['/etc/compiler.json'];
+    filter.writeDependencyGraph(`/tmp/${node.type}`);
+  }
+}
+
+// Reporting what each build did:
+
+new Transpiler('src', { buildReport: 'tmp/transpiler.json' });
+
+function slowestFile(report: Filter.BuildReport): Filter.BuildReportFile | undefined {
+  return report.files.slice().sort((a, b) => b.duration - a.duration)[0];
+}
+
+// Tracing the work of each build:
+
+new Transpiler('src', { async: true, trace: 'tmp/transpiler.trace.json' });
+
+function slots(events: Filter.TraceEvent[]): number {
+  return new Set(events.filter(event => event.ph === 'X').map(event => event.tid)).size;
+}
+
+// Explaining why files were processed:
+
+function cacheKeyMisses(filter: Filter): Filter.Explanation[] {
+  filter.explain = true;
+  return filter.explanations().filter(explanation => explanation.reason === 'cache-key-changed');
+}
+
+const reason: Filter.ExplanationReason = 'dependency-changed';
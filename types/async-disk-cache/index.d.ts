@@ -13,9 +13,14 @@ declare module 'async-disk-cache' {
 
   class AsyncDiskCache {
     root: string;
+    tmpdir: string;
     constructor(cacheKey: string, options: AsyncDiskCache.Options)
     get<T>(key: string): Promise<CacheEntry<T>>;
     set<T>(key: string, value: T): Promise<void>;
+    has(key: string): Promise<boolean>;
+    remove(key: string): Promise<void>;
+    clear(): Promise<void>;
+    pathFor(key: string): string;
   }
   export = AsyncDiskCache;
-}
\ No newline at end of file
+}
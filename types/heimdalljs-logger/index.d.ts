@@ -3,6 +3,7 @@ declare module 'heimdalljs-logger' {
     interface Logger {
       info(...args: Array<unknown>): void;
       debug(...args: Array<unknown>): void;
+      warn(...args: Array<unknown>): void;
     }
   }
   function loggerGenerator(name: string): loggerGenerator.Logger;